@@ -20,6 +20,8 @@ export default [
         __dirname: 'readonly',
         __filename: 'readonly',
         global: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
         module: 'readonly',
         require: 'readonly',
         exports: 'readonly',
@@ -27,6 +29,8 @@ export default [
         URLSearchParams: 'readonly',
         URL: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
+        AbortSignal: 'readonly',
       },
     },
     plugins: {
@@ -0,0 +1,87 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerLicenseApiTools } from '../license-api-tools';
+import { LICENSE_API_CACHE_RULES, ResponseCache } from '../utils/cache';
+import { LicenseApiClient } from '../utils/http';
+
+interface ApiCall {
+  method: string;
+  url: string;
+  data?: unknown;
+}
+
+/**
+ * An API client that records every call and answers with respond(call), or {} when it returns undefined
+ */
+function createFakeApiClient(respond: (call: ApiCall) => unknown = () => undefined) {
+  const calls: ApiCall[] = [];
+  const handle = async (call: ApiCall) => {
+    calls.push(call);
+    const data = respond(call);
+    return { data: data === undefined ? {} : data };
+  };
+
+  const client = {
+    cache: new ResponseCache(LICENSE_API_CACHE_RULES, { ttlSeconds: 0, maxEntries: 0 }),
+    get: (url: string) => handle({ method: 'GET', url }),
+    post: (url: string, data?: unknown) => handle({ method: 'POST', url, data }),
+    put: (url: string, data?: unknown) => handle({ method: 'PUT', url, data }),
+    delete: (url: string) => handle({ method: 'DELETE', url }),
+  };
+
+  return { calls, client: client as unknown as LicenseApiClient };
+}
+
+/**
+ * Register the tools on a server connected to an in-memory client, so calls go through input and output validation
+ */
+async function connect(apiClient: LicenseApiClient): Promise<Client> {
+  const server = new McpServer({ name: 'test-server', version: '1.0.0' });
+  registerLicenseApiTools(server, apiClient);
+
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+describe('License API Tools', () => {
+  let client: Client;
+
+  // Call a tool and fail the test when it reports an error
+  const callTool = async (name: string, args: Record<string, unknown>) => {
+    const result = await client.callTool({ name, arguments: args });
+    expect(result.isError).toBeFalsy();
+    return result;
+  };
+
+  afterEach(async () => {
+    await client?.close();
+  });
+
+  describe('releases', () => {
+    const license = { license_key: 'AAAA-BBBB', hardware_id: 'hw-1', product: 'app' };
+
+    it('should filter versions by environment and channel', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ['1.0.0', '1.1.0']);
+      client = await connect(apiClient);
+
+      await callTool('get_versions', { ...license, env: 'win64', channel: 'beta' });
+
+      expect(calls).toEqual([{ method: 'GET', url: '/api/v4/versions?license_key=AAAA-BBBB&hardware_id=hw-1&product=app&env=win64&channel=beta' }]);
+    });
+
+    it('should request the installation file of an environment, channel and version', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ version: '1.1.0', full_link: 'https://example.com/app.msi' }));
+      client = await connect(apiClient);
+
+      await callTool('get_installation_file', { ...license, env: 'win64', channel: 'stable', version: '1.1.0' });
+
+      expect(calls).toEqual([{
+        method: 'GET',
+        url: '/api/v4/installation_file?license_key=AAAA-BBBB&hardware_id=hw-1&product=app&env=win64&channel=stable&version=1.1.0',
+      }]);
+    });
+  });
+});
@@ -0,0 +1,398 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerManagementApiTools } from '../management-api-tools';
+import { MANAGEMENT_API_CACHE_RULES, ResponseCache } from '../utils/cache';
+import { ManagementApiClient } from '../utils/http';
+
+interface ApiCall {
+  method: string;
+  url: string;
+  data?: unknown;
+}
+
+/**
+ * An API client that records every call and answers with respond(call), or {} when it returns undefined
+ * Return null to answer with an empty body
+ */
+function createFakeApiClient(respond: (call: ApiCall) => unknown = () => undefined) {
+  const calls: ApiCall[] = [];
+  const handle = async (call: ApiCall) => {
+    calls.push(call);
+    const data = respond(call);
+    return { data: data === undefined ? {} : data };
+  };
+
+  const client = {
+    cache: new ResponseCache(MANAGEMENT_API_CACHE_RULES, { ttlSeconds: 0, maxEntries: 0 }),
+    get: (url: string) => handle({ method: 'GET', url }),
+    post: (url: string, data?: unknown) => handle({ method: 'POST', url, data }),
+    put: (url: string, data?: unknown) => handle({ method: 'PUT', url, data }),
+    patch: (url: string, data?: unknown) => handle({ method: 'PATCH', url, data }),
+    delete: (url: string) => handle({ method: 'DELETE', url }),
+  };
+
+  return { calls, client: client as unknown as ManagementApiClient };
+}
+
+/**
+ * Register the tools on a server connected to an in-memory client, so calls go through input and output validation
+ */
+async function connect(apiClient: ManagementApiClient): Promise<Client> {
+  const server = new McpServer({ name: 'test-server', version: '1.0.0' });
+  registerManagementApiTools(server, apiClient);
+
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+describe('Management API Tools', () => {
+  let client: Client;
+
+  // Call a tool and fail the test when it reports an error
+  const callTool = async (name: string, args: Record<string, unknown>) => {
+    const result = await client.callTool({ name, arguments: args });
+    expect(result.isError).toBeFalsy();
+    return result;
+  };
+
+  afterEach(async () => {
+    await client?.close();
+  });
+
+  describe('import_customers_from_csv', () => {
+    it('should report a pending import when the wait times out', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (
+        call.method === 'POST' ? { import_result: { id: 42 } } : { id: 42, status: 'running' }
+      ));
+      client = await connect(apiClient);
+
+      const result = await client.callTool({
+        name: 'import_customers_from_csv',
+        arguments: { csv_file: 'email\na@example.com', wait_for_completion: true, poll_interval_seconds: 1, timeout_seconds: 1 },
+      });
+
+      expect(calls[0]).toEqual({ method: 'POST', url: '/api/v1/customers/import_from_csv/', data: { csv_file: 'email\na@example.com' } });
+      expect(calls.slice(1).every((call) => call.method === 'GET' && call.url === '/api/v1/customers-import-results/42/')).toBe(true);
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent).toEqual({
+        result: {
+          import_id: 42,
+          status: 'pending',
+          message: expect.stringContaining('use get_import_results with id 42'),
+        },
+      });
+    });
+  });
+
+  describe('installation files', () => {
+    it('should list installation files of a product and get one by ID', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (
+        call.url.includes('?') ? { count: 0, results: [] } : { id: 5, version: '1.0', environment: 'MacOS' }
+      ));
+      client = await connect(apiClient);
+
+      await callTool('list_installation_files', { product: 3 });
+      await callTool('get_installation_file_details', { id: 5 });
+
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/installation-files/?limit=100&offset=0&product=3' },
+        { method: 'GET', url: '/api/v1/installation-files/5/' },
+      ]);
+    });
+
+    it('should accept installation file values documented in the Management API collection', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ id: 5, version: '1.0', environment: 'MacOS' }));
+      client = await connect(apiClient);
+      const installationFile = {
+        product: 3,
+        environment: 'MacOS',
+        version: '1.0',
+        full_link: 'https://example.com/app-1.0.dmg',
+        release_date: '20.04.2022',
+        size: '120 MB',
+      };
+
+      const result = await client.callTool({ name: 'create_installation_file', arguments: installationFile });
+
+      expect(result.isError).toBeFalsy();
+      expect(calls).toEqual([{ method: 'POST', url: '/api/v1/installation-files/', data: installationFile }]);
+    });
+  });
+
+  describe('customer accounts and labels', () => {
+    it('should filter customers by label and account with the documented query parameters', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ count: 0, results: [] }));
+      client = await connect(apiClient);
+
+      await client.callTool({ name: 'list_customers', arguments: { label_ids: [1, 2], account: 4, account_code: 'ACME' } });
+
+      expect(calls).toEqual([{ method: 'GET', url: '/api/v1/customers/?limit=100&label__in=1%2C2&account=4&account__code=ACME' }]);
+    });
+
+    it('should create, update and delete customer accounts', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ id: 4, name: 'Acme', code: 'ACME' }));
+      client = await connect(apiClient);
+
+      await client.callTool({ name: 'create_customer_account', arguments: { name: 'Acme', code: 'ACME' } });
+      await client.callTool({ name: 'update_customer_account', arguments: { id: 4, description: 'Key account' } });
+      await client.callTool({ name: 'delete_customer_account', arguments: { id: 4 } });
+
+      expect(calls).toEqual([
+        { method: 'POST', url: '/api/v1/customer-accounts/', data: { name: 'Acme', code: 'ACME' } },
+        { method: 'PATCH', url: '/api/v1/customer-accounts/4/', data: { description: 'Key account' } },
+        { method: 'DELETE', url: '/api/v1/customer-accounts/4/' },
+      ]);
+    });
+
+    it('should manage customer labels and their assignments', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ id: 7, label: 'vip', color: '#1e90ff' }));
+      client = await connect(apiClient);
+
+      await client.callTool({ name: 'create_customer_label', arguments: { label: 'vip', color: '#1e90ff' } });
+      await client.callTool({ name: 'add_label_to_customer', arguments: { customer: 3, customer_label: 7 } });
+      await client.callTool({ name: 'remove_label_from_customer', arguments: { id: 11 } });
+      await client.callTool({ name: 'delete_customer_label', arguments: { id: 7 } });
+
+      expect(calls).toEqual([
+        { method: 'POST', url: '/api/v1/clabels/', data: { label: 'vip', color: '#1e90ff' } },
+        { method: 'POST', url: '/api/v1/customerclabels/', data: { customer: 3, customer_label: 7 } },
+        { method: 'DELETE', url: '/api/v1/customerclabels/11/' },
+        { method: 'DELETE', url: '/api/v1/clabels/7/' },
+      ]);
+    });
+  });
+
+  describe('products', () => {
+    it('should only offer the product endpoints documented in the Management API collection', async () => {
+      const { client: apiClient } = createFakeApiClient();
+      client = await connect(apiClient);
+
+      const { tools } = await client.listTools();
+      const names = tools.map((tool) => tool.name);
+
+      expect(names).toEqual(expect.arrayContaining(['list_products', 'get_product', 'list_bundle_products', 'list_product_bundles']));
+      expect(names).not.toContain('create_product');
+      expect(names).not.toContain('update_product');
+    });
+
+    it('should request products, bundles and bundle memberships', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (
+        call.url === '/api/v1/products/3/' ? { id: 3, product_name: 'App', short_code: 'app' } : { count: 0, results: [] }
+      ));
+      client = await connect(apiClient);
+
+      await client.callTool({ name: 'list_products', arguments: { order_by: 'product_name', short_code: 'app', is_archived: false } });
+      await client.callTool({ name: 'get_product', arguments: { id: 3 } });
+      await client.callTool({ name: 'list_bundle_products', arguments: { bundle_id: 5 } });
+      await client.callTool({ name: 'list_product_bundles', arguments: { product_id: 3 } });
+
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/products/?limit=100&offset=0&order_by=product_name&short_code=app&is_archived=false' },
+        { method: 'GET', url: '/api/v1/products/3/' },
+        { method: 'GET', url: '/api/v1/products/5/bundle/?limit=100&offset=0' },
+        { method: 'GET', url: '/api/v1/products/3/in_bundle/?limit=100&offset=0' },
+      ]);
+    });
+  });
+
+  describe('orders', () => {
+    it('should list, get and update orders', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (
+        call.url.startsWith('/api/v1/orders/?') ? { count: 0, results: [] } : { id: 8, store_id: 'S-8' }
+      ));
+      client = await connect(apiClient);
+
+      await callTool('list_orders', { order_by: '-created_at', is_archived: false, short_code: 'app' });
+      await callTool('get_order', { id: 8 });
+      await callTool('update_order', { id: 8, reference: 'PO-17', is_archived: true });
+
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/orders/?limit=100&offset=0&order_by=-created_at&is_archived=false&short_code=app' },
+        { method: 'GET', url: '/api/v1/orders/8/' },
+        { method: 'PATCH', url: '/api/v1/orders/8/', data: { reference: 'PO-17', is_archived: true } },
+      ]);
+    });
+
+    it('should create an order with its items and licenses', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ id: 8, store_id: 'S-8' }));
+      client = await connect(apiClient);
+      const order = {
+        id: 'S-8',
+        customer: { email: 'buyer@example.com' },
+        items: [{ product_code: 'app', licenses: [{ max_activations: 2, license_type: 'perpetual' }] }],
+      };
+
+      await callTool('create_order', order);
+
+      expect(calls).toEqual([{ method: 'POST', url: '/api/v1/orders/create_order/', data: { ...order, is_test: false } }]);
+    });
+
+    it('should export one order or a date range of orders', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => 'id,store_id\n8,S-8');
+      client = await connect(apiClient);
+
+      await callTool('export_order', { id: 8 });
+      await callTool('export_orders', { from: '2025-01-01', to: '2025-01-31' });
+      const missingRange = await client.callTool({ name: 'export_orders', arguments: {} });
+
+      expect(missingRange.isError).toBe(true);
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/orders/8/export/' },
+        { method: 'GET', url: '/api/v1/orders/export/?from=2025-01-01&to=2025-01-31' },
+      ]);
+    });
+
+    it('should list, add and remove order managers', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (call.method === 'GET' ? [] : { ok: true }));
+      client = await connect(apiClient);
+
+      await callTool('list_order_managers', { order_id: 8 });
+      await callTool('add_order_manager', { order_id: 8, email: 'manager@example.com' });
+      await callTool('remove_order_manager', { order_id: 8, license_user_id: 21 });
+
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/orders/8/managers/' },
+        { method: 'POST', url: '/api/v1/orders/8/add_manager/', data: { email: 'manager@example.com' } },
+        { method: 'POST', url: '/api/v1/orders/8/remove_manager/', data: { license_user_id: 21 } },
+      ]);
+    });
+  });
+
+  describe('devices', () => {
+    it('should list and get devices', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (
+        call.url.startsWith('/api/v1/devices/?') ? { count: 0, results: [] } : { id: 6, hardware_id: 'hw-1' }
+      ));
+      client = await connect(apiClient);
+
+      await callTool('list_devices', { license: 12, hardware_id: 'hw-1', blacklisted: false });
+      await callTool('get_device', { id: 6 });
+
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/devices/?limit=100&offset=0&license=12&hardware_id=hw-1&blacklisted=false' },
+        { method: 'GET', url: '/api/v1/devices/6/' },
+      ]);
+    });
+
+    it('should reset, blacklist and borrow devices', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (call.url.endsWith('/borrow/') ? { id: 6, borrowed_until: '2025-02-01' } : null));
+      client = await connect(apiClient);
+
+      const reset = await callTool('reset_device', { id: 6 });
+      await callTool('blacklist_device', { id: 6 });
+      await callTool('borrow_device', { id: 6, borrowed_until: '2025-02-01' });
+
+      expect(reset.structuredContent).toEqual({ message: 'Device 6 reset successfully' });
+      expect(calls).toEqual([
+        { method: 'POST', url: '/api/v1/devices/6/reset/' },
+        { method: 'POST', url: '/api/v1/devices/6/blacklist/' },
+        { method: 'POST', url: '/api/v1/devices/6/borrow/', data: { borrowed_until: '2025-02-01' } },
+      ]);
+    });
+  });
+
+  describe('customers', () => {
+    it('should get, update and merge customers', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ id: 3, email: 'a@example.com' }));
+      client = await connect(apiClient);
+
+      await callTool('get_customer', { id: 3 });
+      await callTool('update_customer', { id: 3, company_name: 'Acme', customer_account: 4 });
+      await callTool('merge_customers', { id: 3, customer_to_merge_id: 9 });
+      const selfMerge = await client.callTool({ name: 'merge_customers', arguments: { id: 3, customer_to_merge_id: 3 } });
+
+      expect(selfMerge.isError).toBe(true);
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/customers/3/' },
+        { method: 'PATCH', url: '/api/v1/customers/3/', data: { company_name: 'Acme', customer_account: 4 } },
+        { method: 'POST', url: '/api/v1/customers/3/merge/', data: { customer_to_merge_id: 9 } },
+      ]);
+    });
+
+    it('should export customers, import them from CSV and read the import results', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => {
+        if (call.url === '/api/v1/customers/export/') return 'id,email\n3,a@example.com';
+        if (call.method === 'POST') return { import_result: { id: 42 } };
+        return { id: 42, status: 'success', errors: [] };
+      });
+      client = await connect(apiClient);
+
+      await callTool('export_customers', {});
+      await callTool('import_customers_from_csv', { csv_file: 'email\na@example.com' });
+      const results = await callTool('get_import_results', { kind: 'customers', id: 42 });
+      await callTool('get_import_results', { kind: 'customers', status: 'error' });
+
+      expect(results.structuredContent).toMatchObject({ result: { summary: { id: 42, status: 'success', failed_rows: 0 } } });
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/customers/export/' },
+        { method: 'POST', url: '/api/v1/customers/import_from_csv/', data: { csv_file: 'email\na@example.com' } },
+        { method: 'GET', url: '/api/v1/customers-import-results/42/' },
+        { method: 'GET', url: '/api/v1/customers-import-results/?limit=30&offset=0&status_iexact=error' },
+      ]);
+    });
+  });
+
+  describe('license state and activation history', () => {
+    it('should enable and reset licenses', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => (call.url.endsWith('/enable/') ? { id: 12, enabled: true } : null));
+      client = await connect(apiClient);
+
+      await callTool('enable_license', { id: 12 });
+      const reset = await callTool('reset_license', { id: 12 });
+
+      expect(reset.structuredContent).toEqual({ message: 'License 12 reset successfully' });
+      expect(calls).toEqual([
+        { method: 'POST', url: '/api/v1/licenses/12/enable/' },
+        { method: 'POST', url: '/api/v1/licenses/12/reset/' },
+      ]);
+    });
+
+    it('should read activation history oldest first and count transfers', async () => {
+      const { calls, client: apiClient } = createFakeApiClient((call) => {
+        if (call.url.includes('transfer_count')) return { transfer_count: 2 };
+        return call.url.includes('?') ? { count: 0, results: [] } : { id: 30, hardware_id: 'hw-1', action: 'activate' };
+      });
+      client = await connect(apiClient);
+
+      await callTool('list_license_activation_history', { license: 12 });
+      await callTool('get_license_activation_history', { id: 30 });
+      await callTool('get_license_transfer_count', { license: 12 });
+
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/license-activation-histories/?limit=100&offset=0&order_by=created_at&license=12' },
+        { method: 'GET', url: '/api/v1/license-activation-histories/30/' },
+        { method: 'GET', url: '/api/v1/license-activation-histories/transfer_count/?license=12' },
+      ]);
+    });
+  });
+
+  describe('device variables', () => {
+    it('should list variables by device, license and name', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ count: 0, results: [] }));
+      client = await connect(apiClient);
+
+      await callTool('list_device_variables', { device: 6, license: 12, variable: 'cores' });
+
+      expect(calls).toEqual([{ method: 'GET', url: '/api/v1/device-variables/?limit=100&offset=0&device=6&device__license=12&variable=cores' }]);
+    });
+
+    it('should get, update and delete device variables', async () => {
+      const { calls, client: apiClient } = createFakeApiClient(() => ({ id: 15, variable: 'cores', value: '16' }));
+      client = await connect(apiClient);
+
+      await callTool('get_device_variable', { id: 15 });
+      await callTool('update_device_variable', { id: 15, value: '16' });
+      const deleted = await callTool('delete_device_variable', { id: 15 });
+
+      expect(deleted.structuredContent).toEqual({ message: 'Device variable 15 deleted successfully' });
+      expect(calls).toEqual([
+        { method: 'GET', url: '/api/v1/device-variables/15/' },
+        { method: 'PATCH', url: '/api/v1/device-variables/15/', data: { value: '16' } },
+        { method: 'DELETE', url: '/api/v1/device-variables/15/' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { AuditLog } from './utils/audit.js';
+import { errorResult, jsonResult, toolOutput } from './utils/output.js';
+
+/**
+ * Register the tools for reading the audit log of changes made through the MCP server
+ */
+export function registerAuditTools(server: McpServer, auditLog: AuditLog): void {
+  server.registerTool('query_audit_log', {
+    title: 'Query Audit Log',
+    description: 'Search the local audit log of every request that changed data (POST, PUT, PATCH, DELETE) made by a tool call, newest first. Each entry has the tool, redacted arguments, target ids, HTTP status and the MCP client and session',
+    inputSchema: {
+      tool: z.string().optional().describe('Tool name or glob pattern, e.g. delete_* or bulk_*'),
+      since: z.string().optional().describe('Only entries at or after this ISO date or timestamp, e.g. 2025-01-01'),
+      until: z.string().optional().describe('Only entries before this ISO date or timestamp'),
+      target: z.string().optional().describe('Only entries that touched this id, e.g. a license ID or license key'),
+      session_id: z.string().optional().describe('Only entries from this MCP session'),
+      method: z.enum(['POST', 'PUT', 'PATCH', 'DELETE']).optional(),
+      errors_only: z.boolean().optional().default(false).describe('Only entries whose request failed'),
+      limit: z.number().min(1).max(1000).optional().default(100),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async (filter) => {
+    try {
+      return jsonResult({
+        file: auditLog.options.file,
+        ...auditLog.query(filter),
+      });
+    } catch (error) {
+      return errorResult(`Error querying audit log: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  });
+}
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import dotenv from 'dotenv';
+import { LicenseApiClient, ManagementApiClient } from './utils/http.js';
+import { validateLicenseApiAuth, validateManagementApiAuth } from './utils/auth.js';
+import { registerLicenseApiTools } from './license-api-tools.js';
+import { registerManagementApiTools } from './management-api-tools.js';
+import { ToolPrefixes, parseToolPrefixes, withNamePrefix } from './utils/namespace.js';
+import { parseTransportOptions, startServer } from './utils/transport.js';
+import { ToolNameCollector, ToolPolicy, assertToolPatternsMatch, describeToolPolicy, parseToolPolicy, withToolPolicy } from './utils/tool-policy.js';
+import { AuditLog, parseAuditLogOptions, withAuditLog } from './utils/audit.js';
+import { registerAuditTools } from './audit-tools.js';
+
+// Load environment variables
+dotenv.config();
+
+const LICENSE_API_URL = process.env.LICENSE_API_URL || 'https://api.licensespring.com';
+const LICENSE_API_KEY = process.env.LICENSE_API_KEY;
+const LICENSE_SHARED_KEY = process.env.LICENSE_SHARED_KEY;
+const MANAGEMENT_API_URL = process.env.MANAGEMENT_API_URL || 'https://saas.licensespring.com';
+const MANAGEMENT_API_KEY = process.env.MANAGEMENT_API_KEY;
+
+// Tool name prefixes, e.g. license_ and mgmt_ with --prefix-tools
+let toolPrefixes: ToolPrefixes;
+try {
+  toolPrefixes = parseToolPrefixes();
+} catch (error) {
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  console.error('❌ Configuration Error:', errorMessage);
+  process.exit(1);
+}
+
+// Tools to register, e.g. only read-only tools with --read-only
+let toolPolicy: ToolPolicy;
+try {
+  toolPolicy = parseToolPolicy(undefined, undefined, Object.values(toolPrefixes));
+} catch (error) {
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  console.error('❌ Configuration Error:', errorMessage);
+  process.exit(1);
+}
+
+const toolPolicySummary = describeToolPolicy(toolPolicy);
+if (toolPolicySummary) {
+  console.error(`Tool policy: ${toolPolicySummary}`);
+}
+
+// Audit log of the changes made by tool calls, off unless AUDIT_LOG_ENABLED=true
+let auditLog: AuditLog;
+try {
+  auditLog = new AuditLog(parseAuditLogOptions());
+} catch (error) {
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  console.error('❌ Configuration Error:', errorMessage);
+  process.exit(1);
+}
+
+if (auditLog.enabled) {
+  console.error(`Audit log: ${auditLog.options.file}`);
+}
+
+/**
+ * Validate the credentials of one tool set, warning instead of exiting when they are missing
+ */
+function isConfigured(apiName: string, validate: () => void): boolean {
+  try {
+    validate();
+    return true;
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    console.error(`⚠️  Skipping ${apiName} tools: ${errorMessage}`);
+    return false;
+  }
+}
+
+const licenseApiClient = isConfigured('License API', () => validateLicenseApiAuth(LICENSE_API_KEY, LICENSE_SHARED_KEY))
+  ? new LicenseApiClient(LICENSE_API_URL, LICENSE_API_KEY!, LICENSE_SHARED_KEY)
+  : undefined;
+const managementApiClient = isConfigured('Management API', () => validateManagementApiAuth(MANAGEMENT_API_KEY))
+  ? new ManagementApiClient(MANAGEMENT_API_URL, MANAGEMENT_API_KEY!)
+  : undefined;
+
+if (!licenseApiClient && !managementApiClient) {
+  console.error('❌ Configuration Error: no LicenseSpring credentials are configured');
+  console.error('');
+  console.error('Please check your environment variables:');
+  console.error('1. Copy .env.example to .env');
+  console.error('2. Set LICENSE_API_KEY to enable the License API tools');
+  console.error('3. Set MANAGEMENT_API_KEY to enable the Management API tools');
+  console.error('');
+  console.error('For more information, see the README.md file.');
+  process.exit(1);
+}
+
+// Product changes made through the Management API tools also refresh cached License API product details
+if (licenseApiClient && managementApiClient) {
+  managementApiClient.cache.forwardInvalidations(licenseApiClient.cache);
+}
+
+/**
+ * Create an MCP server with the License API and Management API tool sets registered
+ * A separate instance is created for each HTTP session; onTool sees every tool offered to the tool policy
+ */
+function createServer(onTool?: ToolNameCollector): McpServer {
+  // Create MCP server
+  const server = new McpServer({
+    name: 'licensespring',
+    version: '2.0.0',
+  });
+
+  const audited = withAuditLog(server, auditLog);
+  if (licenseApiClient) {
+    registerLicenseApiTools(withToolPolicy(withNamePrefix(audited, toolPrefixes.license), toolPolicy, { prefix: toolPrefixes.license, onTool }), licenseApiClient);
+  }
+  if (managementApiClient) {
+    registerManagementApiTools(withToolPolicy(withNamePrefix(audited, toolPrefixes.management), toolPolicy, { prefix: toolPrefixes.management, onTool }), managementApiClient);
+  }
+  if (auditLog.enabled) {
+    registerAuditTools(withToolPolicy(audited, toolPolicy, { onTool }), auditLog);
+  }
+
+  return server;
+}
+
+// Fail on allow and deny patterns that match none of the tools, e.g. a typo in --deny-tools
+try {
+  assertToolPatternsMatch(toolPolicy, createServer);
+} catch (error) {
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  console.error('❌ Configuration Error:', errorMessage);
+  process.exit(1);
+}
+
+// Start server
+async function main() {
+  try {
+    await startServer(createServer, parseTransportOptions(), 'LicenseSpring combined MCP server v2.0.0');
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    console.error('❌ Failed to start MCP server:', errorMessage);
+    console.error('');
+    console.error('This could be due to:');
+    console.error('- Invalid MCP transport configuration');
+    console.error('- Port already in use');
+    console.error('- Permission issues');
+    console.error('');
+    console.error('Please check the server configuration and try again.');
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Unexpected server error:', error.message);
+  console.error('Stack trace:', error.stack);
+  process.exit(1);
+});
@@ -14,6 +14,7 @@ LicenseSpring MCP Server
 Usage:
   npm run license-api     - Start License API MCP server
   npm run management-api  - Start Management API MCP server
+  npm run combined        - Start both tool sets in a single MCP server
   npm run dev            - Start in development mode (shows this help)
 
 Environment Variables:
@@ -26,6 +27,42 @@ Environment Variables:
     MANAGEMENT_API_URL   - LicenseSpring Management API URL (default: https://saas.licensespring.com)
     MANAGEMENT_API_KEY   - Your Management API key
 
+  Transport:
+    MCP_TRANSPORT        - stdio (default), http (Streamable HTTP) or sse (legacy SSE)
+    MCP_HOST             - Host to listen on for http/sse (default: 127.0.0.1)
+    MCP_PORT             - Port to listen on for http/sse (default: 3000)
+    MCP_AUTH_TOKEN       - Bearer token required on incoming http/sse requests
+
+  Combined mode:
+    MCP_PREFIX_TOOLS     - Set to true to prefix tool names with license_ and mgmt_
+    MCP_LICENSE_PREFIX   - Custom prefix for License API tools
+    MCP_MANAGEMENT_PREFIX - Custom prefix for Management API tools
+
+  Tool access:
+    MCP_TOOL_PROFILE     - Register the tools of a profile: admin, support or sales
+    MCP_READ_ONLY        - Set to true to only register tools that do not change data
+    MCP_ALLOW_TOOLS      - Comma-separated tool name patterns to register (e.g. list_*,get_license)
+    MCP_DENY_TOOLS       - Comma-separated tool name patterns never to register (e.g. delete_*)
+
+  Audit log:
+    AUDIT_LOG_ENABLED    - Set to true to record changes made by tool calls (default: false)
+    AUDIT_LOG_FILE       - JSONL audit log file (default: ~/.licensespring-mcp/audit.jsonl)
+    AUDIT_LOG_ROTATE     - size (default) or daily
+    AUDIT_LOG_MAX_BYTES  - Size at which the log is rotated (default: 10485760)
+    AUDIT_LOG_MAX_FILES  - Rotated files to keep (default: 5)
+
+Options (override the environment variables):
+  --transport <stdio|http|sse>
+  --host <host>
+  --port <port>
+  --prefix-tools                 (combined mode only)
+  --license-prefix <prefix>      (combined mode only)
+  --management-prefix <prefix>   (combined mode only)
+  --profile <admin|support|sales>
+  --read-only
+  --allow-tools <patterns>
+  --deny-tools <patterns>
+
 Configuration:
   1. Copy .env.example to .env
   2. Fill in your API credentials
@@ -38,6 +75,15 @@ Examples:
   # Start Management API server  
   npm run management-api
 
+  # Start both tool sets with namespaced tool names
+  node dist/index.js combined --prefix-tools
+
+  # Start the Management API server without any delete or bulk tools
+  node dist/index.js management-api --deny-tools "delete_*,bulk_*"
+
+  # Serve the Management API over Streamable HTTP on port 8080
+  node dist/index.js management-api --transport http --port 8080
+
 For more information, see README.md
 `);
 }
@@ -53,11 +99,12 @@ function main() {
 
   // Default to license-api server if no arguments provided (for Claude Desktop compatibility)
   const serverType = args[0] || 'license-api';
+  const serverArgs = args.slice(1);
 
   switch (serverType) {
     case 'license-api': {
-      console.log('Starting LicenseSpring License API MCP server...');
-      const licenseProcess = spawn('node', [join(__dirname, 'license-api-server.js')], {
+      console.error('Starting LicenseSpring License API MCP server...');
+      const licenseProcess = spawn('node', [join(__dirname, 'license-api-server.js'), ...serverArgs], {
         stdio: 'inherit',
         cwd: process.cwd()
       });
@@ -77,8 +124,8 @@ function main() {
     }
 
     case 'management-api': {
-      console.log('Starting LicenseSpring Management API MCP server...');
-      const managementProcess = spawn('node', [join(__dirname, 'management-api-server.js')], {
+      console.error('Starting LicenseSpring Management API MCP server...');
+      const managementProcess = spawn('node', [join(__dirname, 'management-api-server.js'), ...serverArgs], {
         stdio: 'inherit',
         cwd: process.cwd()
       });
@@ -97,9 +144,30 @@ function main() {
       break;
     }
 
+    case 'combined': {
+      console.error('Starting LicenseSpring combined MCP server...');
+      const combinedProcess = spawn('node', [join(__dirname, 'combined-server.js'), ...serverArgs], {
+        stdio: 'inherit',
+        cwd: process.cwd()
+      });
+
+      combinedProcess.on('error', (error) => {
+        console.error('Failed to start combined server:', error.message);
+        process.exit(1);
+      });
+
+      combinedProcess.on('exit', (code) => {
+        if (code !== 0) {
+          console.error(`Combined server exited with code ${code}`);
+          process.exit(code || 1);
+        }
+      });
+      break;
+    }
+
     default:
       console.error(`Unknown server type: ${serverType}`);
-      console.error('Valid options are: license-api, management-api');
+      console.error('Valid options are: license-api, management-api, combined');
       showUsage();
       process.exit(1);
   }
@@ -0,0 +1,625 @@
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { LicenseApiClient, handleApiError } from './utils/http.js';
+import { apiErrorResult, formattedResult, jsonResult, toolOutput } from './utils/output.js';
+import {
+  checkLicenseResponseSchema,
+  deviceVariableSchema,
+  installationFileSchema,
+  licenseFeatureSchema,
+  licenseUserSchema,
+  listSchema,
+  productDetailsSchema,
+  softwareVersionItemSchema,
+  ssoUrlResponseSchema,
+  trialKeyResponseSchema
+} from './types/schemas.js';
+import { formatInputSchema } from './utils/format.js';
+
+/**
+ * Register all License API resources, prompts and tools on an MCP server
+ */
+export function registerLicenseApiTools(server: McpServer, apiClient: LicenseApiClient): void {
+  // Resources - Expose LicenseSpring data
+  server.registerResource(
+    'product-details',
+    new ResourceTemplate('licensespring://product/{product}/details', { list: undefined }),
+    {
+      title: 'Product Details',
+      description: 'Detailed information about a specific product',
+      mimeType: 'application/json'
+    },
+    async (uri: any, extra: any) => {
+      try {
+        const { product } = extra;
+        const queryParams = new URLSearchParams({ product });
+        const response = await apiClient.get(`/api/v4/product_details?${queryParams}`);
+
+        return {
+          contents: [{
+            uri: uri.href,
+            text: JSON.stringify(response.data, null, 2),
+            mimeType: 'application/json'
+          }]
+        };
+      } catch (error) {
+        throw new Error(`Failed to get product details: ${handleApiError(error)}`);
+      }
+    }
+  );
+
+  server.registerResource(
+    'license-status',
+    new ResourceTemplate('licensespring://license/{license_key}/status', { list: undefined }),
+    {
+      title: 'License Status',
+      description: 'Current status and details of a specific license',
+      mimeType: 'application/json'
+    },
+    async (uri: any, extra: any) => {
+      try {
+        const { license_key } = extra;
+        // Note: This would need hardware_id and product in a real implementation
+        // For now, we'll return a placeholder that explains the requirement
+        return {
+          contents: [{
+            uri: uri.href,
+            text: JSON.stringify({
+              message: 'License status requires hardware_id and product parameters',
+              license_key,
+              note: 'Use the check_license tool with hardware_id and product for full status'
+            }, null, 2),
+            mimeType: 'application/json'
+          }]
+        };
+      } catch (error) {
+        throw new Error(`Failed to get license status: ${handleApiError(error)}`);
+      }
+    }
+  );
+
+  // Prompts - Workflow templates
+  server.registerPrompt(
+    'license-troubleshooting',
+    {
+      title: 'License Troubleshooting',
+      description: 'Diagnose and resolve license issues',
+      argsSchema: {
+        license_key: z.string().min(1, 'License key is required'),
+        issue_description: z.string().min(1, 'Issue description is required'),
+        product: z.string().optional()
+      }
+    },
+    ({ license_key, issue_description, product }) => ({
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `Please help troubleshoot this LicenseSpring license issue:
+
+License Key: ${license_key}
+${product ? `Product: ${product}` : ''}
+Issue Description: ${issue_description}
+
+Please:
+1. Check the license status and activation history
+2. Verify the license is enabled and not expired
+3. Check for any consumption limits or overages
+4. Suggest specific solutions based on the issue
+5. Provide next steps for resolution
+
+Use the available LicenseSpring tools to gather information and provide a comprehensive diagnosis.`
+        }
+      }]
+    })
+  );
+
+  server.registerPrompt(
+    'customer-onboarding',
+    {
+      title: 'Customer Onboarding',
+      description: 'Guide for setting up a new customer with licenses',
+      argsSchema: {
+        customer_email: z.string().email('Valid email is required'),
+        product_code: z.string().min(1, 'Product code is required'),
+        license_type: z.enum(['trial', 'full']).optional()
+      }
+    },
+    ({ customer_email, product_code, license_type = 'trial' }) => ({
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `Please help onboard a new customer to LicenseSpring:
+
+Customer Email: ${customer_email}
+Product: ${product_code}
+License Type: ${license_type}
+
+Please follow this onboarding workflow:
+1. Create the customer record in the management system
+2. ${license_type === 'trial' ? 'Generate a trial license key' : 'Create a full license'}
+3. Provide activation instructions
+4. Set up any necessary product configurations
+5. Send welcome information to the customer
+
+Use the available LicenseSpring tools to complete each step and provide a summary of actions taken.`
+        }
+      }]
+    })
+  );
+
+  // License Operations Tools
+  server.registerTool('activate_license', {
+    title: 'Activate License',
+    description: 'Activate a license with hardware ID and product code',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      quantity: z.number().optional().default(1),
+    },
+    outputSchema: toolOutput(checkLicenseResponseSchema),
+  }, async ({ license_key, hardware_id, product, quantity }) => {
+    try {
+      const response = await apiClient.post('/api/v4/activate_license', {
+        license_key,
+        hardware_id,
+        product,
+        quantity,
+      });
+    
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error activating license', error);
+    }
+  });
+
+  server.registerTool('check_license', {
+    title: 'Check License',
+    description: 'Check license status and validity',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(checkLicenseResponseSchema),
+  }, async ({ license_key, hardware_id, product, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        license_key,
+        hardware_id,
+        product,
+      });
+      const response = await apiClient.get(`/api/v4/check_license?${queryParams}`);
+    
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error checking license', error);
+    }
+  });
+
+  server.registerTool('deactivate_license', {
+    title: 'Deactivate License',
+    description: 'Deactivate a license for a specific hardware ID',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_key, hardware_id, product }) => {
+    try {
+      const response = await apiClient.post('/api/v4/deactivate_license', {
+        license_key,
+        hardware_id,
+        product,
+      });
+    
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error deactivating license', error);
+    }
+  });
+
+  server.registerTool('add_consumption', {
+    title: 'Add Consumption',
+    description: 'Add consumption units to a license',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      consumptions: z.number().min(1, 'Consumption units must be positive'),
+      max_overages: z.number().optional(),
+      allow_overages: z.boolean().optional(),
+    },
+    outputSchema: toolOutput(checkLicenseResponseSchema),
+  }, async ({ license_key, hardware_id, product, consumptions, max_overages, allow_overages }) => {
+    try {
+      const response = await apiClient.post('/api/v4/add_consumption', {
+        license_key,
+        hardware_id,
+        product,
+        consumptions,
+        max_overages,
+        allow_overages,
+      });
+    
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error adding consumption', error);
+    }
+  });
+
+  server.registerTool('add_feature_consumption', {
+    title: 'Add Feature Consumption',
+    description: 'Add consumption units to a specific feature',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      feature: z.string().min(1, 'Feature code is required'),
+      consumptions: z.number().min(1, 'Consumption units must be positive'),
+    },
+    outputSchema: toolOutput(licenseFeatureSchema),
+  }, async ({ license_key, hardware_id, product, feature, consumptions }) => {
+    try {
+      const response = await apiClient.post('/api/v4/add_feature_consumption', {
+        license_key,
+        hardware_id,
+        product,
+        feature,
+        consumptions,
+      });
+    
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error adding feature consumption', error);
+    }
+  });
+
+  server.registerTool('get_trial_key', {
+    title: 'Get Trial Key',
+    description: 'Generate a trial license key for a product',
+    inputSchema: {
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+    },
+    outputSchema: toolOutput(trialKeyResponseSchema),
+  }, async ({ hardware_id, product }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        hardware_id,
+        product,
+      });
+      const response = await apiClient.get(`/api/v4/trial_key?${queryParams}`);
+    
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error generating trial key', error);
+    }
+  });
+
+  server.registerTool('get_product_details', {
+    title: 'Get Product Details',
+    description: 'Get detailed information about a product. Responses are cached for CACHE_TTL_SECONDS (60 by default); product changes made outside this server, or through a separate Management API server, show up once the cached entry expires or after manage_license_api_cache flushes it',
+    inputSchema: {
+      product: z.string().min(1, 'Product code is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(productDetailsSchema),
+  }, async ({ product, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({ product });
+      const response = await apiClient.get(`/api/v4/product_details?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting product details', error);
+    }
+  });
+
+  server.registerTool('track_device_variables', {
+    title: 'Track Device Variables',
+    description: 'Track custom variables for a device',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      variables: z.record(z.string(), z.string()).refine(obj => Object.keys(obj).length > 0, 'At least one variable is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_key, hardware_id, product, variables }) => {
+    try {
+      const response = await apiClient.post('/api/v4/track_device_variables', {
+        license_key,
+        hardware_id,
+        product,
+        variables,
+      });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error tracking device variables', error);
+    }
+  });
+
+  server.registerTool('get_device_variables', {
+    title: 'Get Device Variables',
+    description: 'Get tracked variables for a device',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(deviceVariableSchema)),
+  }, async ({ license_key, hardware_id, product, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        license_key,
+        hardware_id,
+        product,
+      });
+      const response = await apiClient.get(`/api/v4/get_device_variables?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting device variables', error);
+    }
+  });
+
+  server.registerTool('floating_release', {
+    title: 'Release Floating License',
+    description: 'Release a floating license',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_key, hardware_id, product }) => {
+    try {
+      const response = await apiClient.post('/api/v4/floating/release', {
+        license_key,
+        hardware_id,
+        product,
+      });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error releasing floating license', error);
+    }
+  });
+
+  server.registerTool('floating_borrow', {
+    title: 'Borrow Floating License',
+    description: 'Borrow a floating license for offline use',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      borrowed_until: z.string().min(1, 'Borrow expiration date is required'),
+    },
+    outputSchema: toolOutput(checkLicenseResponseSchema),
+  }, async ({ license_key, hardware_id, product, borrowed_until }) => {
+    try {
+      const response = await apiClient.post('/api/v4/floating/borrow', {
+        license_key,
+        hardware_id,
+        product,
+        borrowed_until,
+      });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error borrowing floating license', error);
+    }
+  });
+
+  server.registerTool('change_password', {
+    title: 'Change Password',
+    description: 'Change password for a user-based license',
+    inputSchema: {
+      username: z.string().min(1, 'Username is required'),
+      password: z.string().min(1, 'Current password is required'),
+      new_password: z.string().min(1, 'New password is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ username, password, new_password }) => {
+    try {
+      const response = await apiClient.post('/api/v4/change_password', {
+        username,
+        password,
+        new_password,
+      });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error changing password', error);
+    }
+  });
+
+  server.registerTool('get_versions', {
+    title: 'Get Software Versions',
+    description: 'Get available software versions for a product',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      env: z.string().optional().describe('Installation environment, e.g. win64, mac or linux'),
+      channel: z.string().optional().describe('Release channel, e.g. stable or beta'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(softwareVersionItemSchema)),
+  }, async ({ license_key, hardware_id, product, env, channel, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        license_key,
+        hardware_id,
+        product,
+      });
+
+      if (env) queryParams.append('env', env);
+      if (channel) queryParams.append('channel', channel);
+
+      const response = await apiClient.get(`/api/v4/versions?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting versions', error);
+    }
+  });
+
+  server.registerTool('get_installation_file', {
+    title: 'Get Installation File',
+    description: 'Get installation file download information',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      env: z.string().optional().describe('Installation environment, e.g. win64, mac or linux'),
+      channel: z.string().optional().describe('Release channel, e.g. stable or beta'),
+      version: z.string().optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(installationFileSchema),
+  }, async ({ license_key, hardware_id, product, env, channel, version, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        license_key,
+        hardware_id,
+        product,
+      });
+
+      if (env) queryParams.append('env', env);
+      if (channel) queryParams.append('channel', channel);
+      if (version) queryParams.append('version', version);
+
+      const response = await apiClient.get(`/api/v4/installation_file?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting installation file', error);
+    }
+  });
+
+  server.registerTool('get_sso_url', {
+    title: 'Get SSO URL',
+    description: 'Get Single Sign-On URL for customer portal access',
+    inputSchema: {
+      product: z.string().min(1, 'Product code is required'),
+      customer_account_code: z.string().min(1, 'Customer account code is required'),
+      response_type: z.string().optional().default('token'),
+    },
+    outputSchema: toolOutput(ssoUrlResponseSchema),
+  }, async ({ product, customer_account_code, response_type }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        product,
+        customer_account_code,
+        response_type,
+      });
+      const response = await apiClient.get(`/api/v4/sso_url/?${queryParams}`);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error getting SSO URL', error);
+    }
+  });
+
+  server.registerTool('get_customer_license_users', {
+    title: 'Get Customer License Users',
+    description: 'Get customer license users for a specific license',
+    inputSchema: {
+      product: z.string().min(1, 'Product code is required'),
+      customer: z.string().min(1, 'Customer email or account code is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(licenseUserSchema)),
+  }, async ({ product, customer, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        product,
+        customer,
+      });
+      const response = await apiClient.get(`/api/v4/customer_license_users?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting customer license users', error);
+    }
+  });
+
+  server.registerTool('activate_offline', {
+    title: 'Activate License Offline',
+    description: 'Activate a license for offline use with hardware ID and product code',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+      quantity: z.number().min(1).optional().default(1),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_key, hardware_id, product, quantity }) => {
+    try {
+      const requestData = {
+        license_key,
+        hardware_id,
+        product,
+        quantity,
+      };
+      const response = await apiClient.post('/api/v4/activate_offline', requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error activating license offline', error);
+    }
+  });
+
+  server.registerTool('deactivate_offline', {
+    title: 'Deactivate License Offline',
+    description: 'Deactivate a license for offline use with hardware ID and product code',
+    inputSchema: {
+      license_key: z.string().min(1, 'License key is required'),
+      hardware_id: z.string().min(1, 'Hardware ID is required'),
+      product: z.string().min(1, 'Product code is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_key, hardware_id, product }) => {
+    try {
+      const requestData = {
+        license_key,
+        hardware_id,
+        product,
+      };
+      const response = await apiClient.post('/api/v4/deactivate_offline', requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error deactivating license offline', error);
+    }
+  });
+
+  // Cache Tools
+  server.registerTool('manage_license_api_cache', {
+    title: 'Manage License API Cache',
+    description: 'Inspect or flush the response cache for read-only License API lookups (product_details). Entries are invalidated automatically when a related record is modified',
+    inputSchema: {
+      action: z.enum(['inspect', 'flush']).default('inspect').describe('inspect returns cache statistics and entries; flush removes entries'),
+      tag: z.string().optional().describe('Only flush entries with this tag (product_details); all entries are flushed when omitted'),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ action, tag }) => {
+    try {
+      const result = action === 'flush'
+        ? { flushed: apiClient.cache.flush(tag), tag: tag ?? 'all' }
+        : apiClient.cache.stats();
+
+      return jsonResult(result);
+    } catch (error) {
+      return apiErrorResult('Error managing cache', error);
+    }
+  });
+}
@@ -0,0 +1,2620 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import { ServerNotification, ServerRequest } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { ManagementApiClient, handleApiError } from './utils/http.js';
+import { apiErrorResult, errorResult, exportResult, formattedResult, jsonResult, messageResult, toolOutput } from './utils/output.js';
+import {
+  customFieldSchema,
+  customerAccountSchema,
+  customerLabelSchema,
+  customerSchema,
+  deviceSchema,
+  dryRunPreviewSchema,
+  deviceVariableSchema,
+  installationFileSchema,
+  licenseActivationHistoryEntrySchema,
+  licenseSchema,
+  licenseUserSchema,
+  listSchema,
+  orderSchema,
+  productFeatureSchema,
+  productSchema
+} from './types/schemas.js';
+import { summarizeAnalytics } from './utils/analytics.js';
+import { validateProductFeature } from './utils/features.js';
+import { getLicenseProductId, mergeCustomFields } from './utils/custom-fields.js';
+import {
+  IMPORT_RESULTS_PATHS,
+  ImportKind,
+  ImportTimeoutError,
+  getImportId,
+  getImportStatus,
+  summarizeImportResult,
+  waitForImport
+} from './utils/imports.js';
+import { redactSecrets } from './utils/redact.js';
+import { buildLicenseTimeline } from './utils/history.js';
+import { MAX_ITEMS_CAP, RESOURCE_MAX_ITEMS, collectPages, decodeCursor } from './utils/pagination.js';
+import { formatInputSchema } from './utils/format.js';
+import { ConfirmationStore, RecordChange, describeChange, dryRunInputSchema } from './utils/dry-run.js';
+
+// Options shared by the list tools that can follow `next` links across pages
+const paginationInputSchema = {
+  fetch_all: z.boolean().optional().default(false).describe(`Follow next links and return every page, up to ${MAX_ITEMS_CAP} records`),
+  max_items: z.number().min(1).max(MAX_ITEMS_CAP).optional().describe('Follow next links until this many records are collected'),
+  cursor: z.string().optional().describe('next_cursor from a previous response; resumes where it stopped, with the same filters'),
+};
+
+/**
+ * Wait for a CSV import to finish, sending MCP progress notifications while it runs,
+ * and summarize the rows that failed
+ * When the wait times out the import is reported as pending, since it keeps running on the LicenseSpring side
+ */
+async function reportImportCompletion(
+  apiClient: ManagementApiClient,
+  kind: ImportKind,
+  importResponse: unknown,
+  extra: RequestHandlerExtra<ServerRequest, ServerNotification>,
+  pollIntervalSeconds: number,
+  timeoutSeconds: number
+): Promise<Record<string, unknown>> {
+  const importId = getImportId(importResponse);
+  if (importId === undefined) {
+    return {
+      message: 'Import started, but the response did not include an import result ID to wait for. Use get_import_results to check its status.',
+      response: importResponse,
+    };
+  }
+
+  const progressToken = extra._meta?.progressToken;
+  let result: unknown;
+  try {
+    result = await waitForImport(apiClient, kind, importId, {
+      intervalMs: pollIntervalSeconds * 1000,
+      timeoutMs: timeoutSeconds * 1000,
+      signal: extra.signal,
+      onProgress: async (pending, attempt) => {
+        if (progressToken === undefined) return;
+        await extra.sendNotification({
+          method: 'notifications/progress',
+          params: {
+            progressToken,
+            progress: attempt,
+            message: `Import ${importId} is ${getImportStatus(pending) ?? 'pending'}`,
+          },
+        });
+      },
+    });
+  } catch (error) {
+    if (!(error instanceof ImportTimeoutError)) throw error;
+    return {
+      import_id: importId,
+      status: 'pending',
+      message: `${error.message}. The import is still running; use get_import_results with id ${importId} to check its status.`,
+    };
+  }
+
+  return {
+    summary: summarizeImportResult(result),
+    result,
+  };
+}
+
+/**
+ * Fetch the current state of each record and apply the planned changes to it, for a dry run
+ * Pass null as changes for records that will be deleted; records that cannot be fetched are reported with an error
+ * Records are read past the response cache, so the preview starts from their current state
+ */
+async function previewChanges(
+  apiClient: ManagementApiClient,
+  basePath: string,
+  updates: Array<{ id: number; changes: Record<string, unknown> | null }>
+): Promise<RecordChange[]> {
+  const previews: RecordChange[] = [];
+
+  for (const { id, changes } of updates) {
+    try {
+      const { data: before } = await apiClient.get(`${basePath}${id}/`, { skipCache: true });
+      previews.push(describeChange(id, before, changes ? { ...before, ...changes } : null));
+    } catch (error) {
+      previews.push({ id, before: null, after: null, diff: [], error: handleApiError(error) });
+    }
+  }
+
+  return previews;
+}
+
+/**
+ * Register all Management API resources, prompts and tools on an MCP server
+ */
+export function registerManagementApiTools(server: McpServer, apiClient: ManagementApiClient): void {
+  // Confirmation tokens issued by dry runs of the tools that delete or change many records
+  const confirmations = new ConfirmationStore();
+
+  // Resources - Expose management data
+  server.registerResource(
+    'licenses-list',
+    'licensespring://management/licenses',
+    {
+      title: 'Licenses List',
+      description: `List of all licenses in the system, up to ${RESOURCE_MAX_ITEMS} records; next_cursor continues with list_licenses`,
+      mimeType: 'application/json'
+    },
+    async (uri: any) => {
+      try {
+        const pages = await collectPages(apiClient, '/api/v1/licenses/?limit=100', RESOURCE_MAX_ITEMS);
+
+        return {
+          contents: [{
+            uri: uri.href,
+            text: JSON.stringify(pages, null, 2),
+            mimeType: 'application/json'
+          }]
+        };
+      } catch (error) {
+        throw new Error(`Failed to get licenses list: ${handleApiError(error)}`);
+      }
+    }
+  );
+
+  server.registerResource(
+    'customers-list',
+    'licensespring://management/customers',
+    {
+      title: 'Customers List',
+      description: `List of all customers in the system, up to ${RESOURCE_MAX_ITEMS} records; next_cursor continues with list_customers`,
+      mimeType: 'application/json'
+    },
+    async (uri: any) => {
+      try {
+        const pages = await collectPages(apiClient, '/api/v1/customers/?limit=100', RESOURCE_MAX_ITEMS);
+
+        return {
+          contents: [{
+            uri: uri.href,
+            text: JSON.stringify(pages, null, 2),
+            mimeType: 'application/json'
+          }]
+        };
+      } catch (error) {
+        throw new Error(`Failed to get customers list: ${handleApiError(error)}`);
+      }
+    }
+  );
+
+  server.registerResource(
+    'products-list',
+    'licensespring://management/products',
+    {
+      title: 'Products List',
+      description: `List of all products in the system, up to ${RESOURCE_MAX_ITEMS} records; next_cursor continues with list_products`,
+      mimeType: 'application/json'
+    },
+    async (uri: any) => {
+      try {
+        const pages = await collectPages(apiClient, '/api/v1/products/?limit=100', RESOURCE_MAX_ITEMS);
+
+        return {
+          contents: [{
+            uri: uri.href,
+            text: JSON.stringify(pages, null, 2),
+            mimeType: 'application/json'
+          }]
+        };
+      } catch (error) {
+        throw new Error(`Failed to get products list: ${handleApiError(error)}`);
+      }
+    }
+  );
+
+  // Prompts - Management workflows
+  server.registerPrompt(
+    'license-management-workflow',
+    {
+      title: 'License Management Workflow',
+      description: 'Complete workflow for managing licenses',
+      argsSchema: {
+        action: z.enum(['create', 'update', 'audit', 'cleanup']),
+        customer_email: z.string().email().optional(),
+        product_id: z.string().optional(),
+        notes: z.string().optional()
+      }
+    },
+    ({ action, customer_email, product_id, notes }) => ({
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `Please help with license management workflow:
+
+Action: ${action}
+${customer_email ? `Customer: ${customer_email}` : ''}
+${product_id ? `Product ID: ${product_id}` : ''}
+${notes ? `Notes: ${notes}` : ''}
+
+Based on the action requested:
+
+**Create**: Set up new licenses for customers
+1. Verify customer exists or create new customer
+2. Create license with appropriate settings
+3. Configure validity period and features
+4. Send activation instructions
+
+**Update**: Modify existing licenses
+1. Find and review current license settings
+2. Update as needed (enable/disable, extend validity)
+3. Document changes made
+
+**Audit**: Review license usage and compliance
+1. List all licenses and their status
+2. Check for expired or unused licenses
+3. Identify any compliance issues
+4. Generate summary report
+
+**Cleanup**: Remove or deactivate unused licenses
+1. Identify inactive or expired licenses
+2. Safely deactivate or remove as appropriate
+3. Update customer records
+4. Document cleanup actions
+
+Use the available management tools to complete the requested workflow.`
+        }
+      }]
+    })
+  );
+
+  server.registerPrompt(
+    'customer-analysis',
+    {
+      title: 'Customer Analysis',
+      description: 'Analyze customer usage and license patterns',
+      argsSchema: {
+        customer_id: z.string().optional(),
+        customer_email: z.string().email().optional(),
+        analysis_type: z.enum(['usage', 'compliance', 'renewal']).optional()
+      }
+    },
+    ({ customer_id, customer_email, analysis_type = 'usage' }) => ({
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `Please analyze customer data:
+
+${customer_id ? `Customer ID: ${customer_id}` : ''}
+${customer_email ? `Customer Email: ${customer_email}` : ''}
+Analysis Type: ${analysis_type}
+
+Please perform the following analysis:
+
+**Usage Analysis**:
+1. Get customer details and license history
+2. Review license activation and usage patterns with list_activities
+3. Compare call volumes with get_usage_analytics (top_call_count_customers, top_call_count_licenses, actions_stats)
+4. Identify most/least used products
+5. Suggest optimization opportunities
+
+**Compliance Analysis**:
+1. Check all customer licenses for compliance
+2. Verify license terms are being followed
+3. Identify any violations or concerns
+4. Recommend corrective actions
+
+**Renewal Analysis**:
+1. Review upcoming license expirations
+2. Analyze historical renewal patterns
+3. Identify renewal opportunities and risks
+4. Suggest proactive renewal strategies
+
+Use the management API tools to gather data and provide comprehensive insights.`
+        }
+      }]
+    })
+  );
+
+  // License Management Tools
+  server.registerTool('list_licenses', {
+    title: 'List Licenses',
+    description: 'List licenses with optional filtering. Set fetch_all or max_items to collect several pages; responses then include the total count and a next_cursor to resume from',
+    inputSchema: {
+      limit: z.number().optional().default(100),
+      offset: z.number().optional().default(0),
+      order_by: z.string().optional(),
+      license_key: z.string().optional(),
+      customer_email: z.string().optional(),
+      product_id: z.number().optional(),
+      enabled: z.boolean().optional(),
+      ...paginationInputSchema,
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(licenseSchema)),
+  }, async ({ limit, offset, order_by, license_key, customer_email, product_id, enabled, fetch_all, max_items, cursor, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams();
+    
+      if (limit) queryParams.append('limit', limit.toString());
+      if (offset) queryParams.append('offset', offset.toString());
+      if (order_by) queryParams.append('order_by', order_by);
+      if (license_key) queryParams.append('license_key', license_key);
+      if (customer_email) queryParams.append('customer_email', customer_email);
+      if (product_id) queryParams.append('product_id', product_id.toString());
+      if (enabled !== undefined) queryParams.append('enabled', enabled.toString());
+    
+      if (fetch_all || max_items || cursor) {
+        const firstUrl = cursor ? decodeCursor(cursor, '/api/v1/licenses/') : `/api/v1/licenses/?${queryParams}`;
+        const pages = await collectPages(apiClient, firstUrl, fetch_all || max_items ? max_items ?? MAX_ITEMS_CAP : limit);
+
+        return formattedResult(pages, { fields, format });
+      }
+
+      const response = await apiClient.get(`/api/v1/licenses/?${queryParams}`);
+    
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing licenses', error);
+    }
+  });
+
+  server.registerTool('create_license', {
+    title: 'Create License',
+    description: 'Create a new license',
+    inputSchema: {
+      product: z.number().min(1, 'Product ID is required'),
+      customer: z.number().min(1, 'Customer ID is required'),
+      license_key: z.string().optional(),
+      validity_period: z.number().optional(),
+      enabled: z.boolean().optional().default(true),
+      note: z.string().optional(),
+    },
+    outputSchema: toolOutput(licenseSchema),
+  }, async ({ product, customer, license_key, validity_period, enabled, note }) => {
+    try {
+      const response = await apiClient.post('/api/v1/licenses/', {
+        product,
+        customer,
+        license_key,
+        validity_period,
+        enabled,
+        note,
+      });
+    
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating license', error);
+    }
+  });
+
+  server.registerTool('update_license', {
+    title: 'Update License',
+    description: 'Update an existing license. Run with dry_run first to preview the changes and get the confirmation_token required to apply them',
+    inputSchema: {
+      id: z.number().min(1, 'License ID is required'),
+      enabled: z.boolean().optional(),
+      note: z.string().optional(),
+      validity_period: z.number().optional(),
+      ...dryRunInputSchema,
+    },
+    outputSchema: toolOutput(z.union([dryRunPreviewSchema, licenseSchema])),
+  }, async ({ id, enabled, note, validity_period, dry_run, confirmation_token }) => {
+    try {
+      const updateData: any = {};
+      if (enabled !== undefined) updateData.enabled = enabled;
+      if (note !== undefined) updateData.note = note;
+      if (validity_period !== undefined) updateData.validity_period = validity_period;
+
+      if (dry_run) {
+        const changes = await previewChanges(apiClient, '/api/v1/licenses/', [{ id, changes: updateData }]);
+        return jsonResult(confirmations.preview('update_license', { id, updateData }, changes));
+      }
+
+      const rejection = confirmations.redeem(confirmation_token, 'update_license', { id, updateData });
+      if (rejection) {
+        return errorResult(`Error updating license: ${rejection}`, { code: 'confirmation_required', retryable: false });
+      }
+
+      const response = await apiClient.patch(`/api/v1/licenses/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating license', error);
+    }
+  });
+
+  server.registerTool('get_license', {
+    title: 'Get License',
+    description: 'Get details of a specific license',
+    inputSchema: {
+      id: z.number().min(1, 'License ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(licenseSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/licenses/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting license', error);
+    }
+  });
+
+  server.registerTool('delete_license', {
+    title: 'Delete License',
+    description: 'Delete a license. Run with dry_run first to preview the license and get the confirmation_token required to delete it',
+    inputSchema: {
+      id: z.number().min(1, 'License ID is required'),
+      ...dryRunInputSchema,
+    },
+    outputSchema: toolOutput(dryRunPreviewSchema),
+  }, async ({ id, dry_run, confirmation_token }) => {
+    try {
+      if (dry_run) {
+        const changes = await previewChanges(apiClient, '/api/v1/licenses/', [{ id, changes: null }]);
+        return jsonResult(confirmations.preview('delete_license', { id }, changes));
+      }
+
+      const rejection = confirmations.redeem(confirmation_token, 'delete_license', { id });
+      if (rejection) {
+        return errorResult(`Error deleting license: ${rejection}`, { code: 'confirmation_required', retryable: false });
+      }
+
+      await apiClient.delete(`/api/v1/licenses/${id}/`);
+
+      return messageResult(`License ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting license', error);
+    }
+  });
+
+  server.registerTool('enable_license', {
+    title: 'Enable License',
+    description: 'Re-enable a disabled license',
+    inputSchema: {
+      id: z.number().min(1, 'License ID is required'),
+    },
+    outputSchema: toolOutput(licenseSchema),
+  }, async ({ id }) => {
+    try {
+      const response = await apiClient.post(`/api/v1/licenses/${id}/enable/`);
+
+      return response.data ? jsonResult(response.data) : messageResult(`License ${id} enabled successfully`);
+    } catch (error) {
+      return apiErrorResult('Error enabling license', error);
+    }
+  });
+
+  server.registerTool('reset_license', {
+    title: 'Reset License',
+    description: 'Reset a license, deactivating all of its devices so it can be activated again',
+    inputSchema: {
+      id: z.number().min(1, 'License ID is required'),
+    },
+    outputSchema: toolOutput(licenseSchema),
+  }, async ({ id }) => {
+    try {
+      const response = await apiClient.post(`/api/v1/licenses/${id}/reset/`);
+
+      return response.data ? jsonResult(response.data) : messageResult(`License ${id} reset successfully`);
+    } catch (error) {
+      return apiErrorResult('Error resetting license', error);
+    }
+  });
+
+  server.registerTool('list_license_activation_history', {
+    title: 'List License Activation History',
+    description: 'List activation and deactivation events, oldest first by default, to show a license\'s device timeline',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      order_by: z.string().optional().default('created_at'),
+      license: z.number().min(1).optional(),
+      device: z.number().min(1).optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(licenseActivationHistoryEntrySchema)),
+  }, async ({ limit, offset, order_by, license, device, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+        order_by,
+      });
+
+      if (license) queryParams.append('license', license.toString());
+      if (device) queryParams.append('device', device.toString());
+
+      const response = await apiClient.get(`/api/v1/license-activation-histories/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing license activation history', error);
+    }
+  });
+
+  server.registerTool('get_license_activation_history', {
+    title: 'Get License Activation History Entry',
+    description: 'Get a specific activation history entry',
+    inputSchema: {
+      id: z.number().min(1, 'Activation history ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(licenseActivationHistoryEntrySchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/license-activation-histories/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting license activation history', error);
+    }
+  });
+
+  server.registerTool('get_license_transfer_count', {
+    title: 'Get License Transfer Count',
+    description: 'Count how many times licenses were transferred between devices',
+    inputSchema: {
+      license: z.number().min(1).optional(),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ license }) => {
+    try {
+      const queryParams = new URLSearchParams();
+
+      if (license) queryParams.append('license', license.toString());
+
+      const response = await apiClient.get(`/api/v1/license-activation-histories/transfer_count/?${queryParams}`);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error getting license transfer count', error);
+    }
+  });
+
+  server.registerTool('get_license_history', {
+    title: 'Get License History',
+    description: 'Get the change history of a license as a chronological timeline of who changed what and when',
+    inputSchema: {
+      license_id: z.number().min(1, 'License ID is required'),
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      include_raw: z.boolean().optional().default(false),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ license_id, limit, offset, include_raw }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        license: license_id.toString(),
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      const response = await apiClient.get(`/api/v1/license-histories/?${queryParams}`);
+      const timeline = buildLicenseTimeline(response.data);
+
+      return jsonResult({
+        license_id,
+        total: typeof response.data?.count === 'number' ? response.data.count : timeline.length,
+        timeline,
+        ...(include_raw ? { raw: response.data } : {}),
+      });
+    } catch (error) {
+      return apiErrorResult('Error getting license history', error);
+    }
+  });
+
+  server.registerTool('export_license_history', {
+    title: 'Export License History',
+    description: 'Export the change history of all licenses over a date range. Either range or both from and to are required',
+    inputSchema: {
+      range: z.enum(['last30', 'last60', 'last80', 'last365']).optional(),
+      from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+      to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ range, from, to }) => {
+    try {
+      if (!range && !(from && to)) {
+        return errorResult('Error exporting license history: either range or both from and to must be specified');
+      }
+
+      const queryParams = new URLSearchParams();
+
+      if (range) queryParams.append('range', range);
+      if (from) queryParams.append('from', from);
+      if (to) queryParams.append('to', to);
+
+      const response = await apiClient.get(`/api/v1/licenses/export_history/?${queryParams}`);
+
+      return exportResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error exporting license history', error);
+    }
+  });
+
+  // Customer Management Tools
+  server.registerTool('list_customers', {
+    title: 'List Customers',
+    description: 'List customers with optional filtering, including by customer label and customer account. Set fetch_all or max_items to collect several pages; responses then include the total count and a next_cursor to resume from',
+    inputSchema: {
+      limit: z.number().optional().default(100),
+      offset: z.number().optional().default(0),
+      email: z.string().optional(),
+      company_name: z.string().optional(),
+      label_ids: z.array(z.number().min(1)).optional().describe('Only customers with any of these customer label IDs'),
+      account: z.number().min(1).optional().describe('Customer account ID'),
+      account_code: z.string().optional(),
+      ...paginationInputSchema,
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(customerSchema)),
+  }, async ({ limit, offset, email, company_name, label_ids, account, account_code, fetch_all, max_items, cursor, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams();
+
+      if (limit) queryParams.append('limit', limit.toString());
+      if (offset) queryParams.append('offset', offset.toString());
+      if (email) queryParams.append('email', email);
+      if (company_name) queryParams.append('company_name', company_name);
+      // label__in, account and account__code are the filters of the List Customers request in LicenseManagementAPI.json
+      if (label_ids && label_ids.length > 0) queryParams.append('label__in', label_ids.join(','));
+      if (account) queryParams.append('account', account.toString());
+      if (account_code) queryParams.append('account__code', account_code);
+
+      if (fetch_all || max_items || cursor) {
+        const firstUrl = cursor ? decodeCursor(cursor, '/api/v1/customers/') : `/api/v1/customers/?${queryParams}`;
+        const pages = await collectPages(apiClient, firstUrl, fetch_all || max_items ? max_items ?? MAX_ITEMS_CAP : limit);
+
+        return formattedResult(pages, { fields, format });
+      }
+
+      const response = await apiClient.get(`/api/v1/customers/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing customers', error);
+    }
+  });
+
+  server.registerTool('create_customer', {
+    title: 'Create Customer',
+    description: 'Create a new customer',
+    inputSchema: {
+      email: z.string().email('Valid email is required'),
+      first_name: z.string().optional(),
+      last_name: z.string().optional(),
+      company_name: z.string().optional(),
+      phone: z.string().optional(),
+      reference: z.string().optional(),
+    },
+    outputSchema: toolOutput(customerSchema),
+  }, async ({ email, first_name, last_name, company_name, phone, reference }) => {
+    try {
+      const response = await apiClient.post('/api/v1/customers/', {
+        email,
+        first_name,
+        last_name,
+        company_name,
+        phone,
+        reference,
+      });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating customer', error);
+    }
+  });
+
+  server.registerTool('delete_customer', {
+    title: 'Delete Customer',
+    description: 'Delete a customer. Run with dry_run first to preview the customer and get the confirmation_token required to delete it',
+    inputSchema: {
+      id: z.number().min(1, 'Customer ID is required'),
+      ...dryRunInputSchema,
+    },
+    outputSchema: toolOutput(dryRunPreviewSchema),
+  }, async ({ id, dry_run, confirmation_token }) => {
+    try {
+      if (dry_run) {
+        const changes = await previewChanges(apiClient, '/api/v1/customers/', [{ id, changes: null }]);
+        return jsonResult(confirmations.preview('delete_customer', { id }, changes));
+      }
+
+      const rejection = confirmations.redeem(confirmation_token, 'delete_customer', { id });
+      if (rejection) {
+        return errorResult(`Error deleting customer: ${rejection}`, { code: 'confirmation_required', retryable: false });
+      }
+
+      await apiClient.delete(`/api/v1/customers/${id}/`);
+
+      return messageResult(`Customer ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting customer', error);
+    }
+  });
+
+  server.registerTool('get_customer', {
+    title: 'Get Customer',
+    description: 'Get details of a specific customer',
+    inputSchema: {
+      id: z.number().min(1, 'Customer ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(customerSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/customers/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting customer', error);
+    }
+  });
+
+  server.registerTool('update_customer', {
+    title: 'Update Customer',
+    description: 'Update an existing customer',
+    inputSchema: {
+      id: z.number().min(1, 'Customer ID is required'),
+      email: z.string().email().optional(),
+      first_name: z.string().optional(),
+      last_name: z.string().optional(),
+      company_name: z.string().optional(),
+      phone: z.string().optional(),
+      reference: z.string().optional(),
+      address: z.string().optional(),
+      postcode: z.string().optional(),
+      city: z.string().optional(),
+      country: z.string().optional(),
+      state: z.string().optional(),
+      customer_account: z.number().min(1).optional(),
+    },
+    outputSchema: toolOutput(customerSchema),
+  }, async ({ id, ...fields }) => {
+    try {
+      const updateData: any = {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) updateData[key] = value;
+      }
+
+      const response = await apiClient.patch(`/api/v1/customers/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating customer', error);
+    }
+  });
+
+  server.registerTool('merge_customers', {
+    title: 'Merge Customers',
+    description: 'Merge a duplicate customer into another customer. The merged customer\'s licenses and orders move to the target customer',
+    inputSchema: {
+      id: z.number().min(1, 'Target customer ID is required'),
+      customer_to_merge_id: z.number().min(1, 'ID of the customer to merge is required'),
+    },
+    outputSchema: toolOutput(customerSchema),
+  }, async ({ id, customer_to_merge_id }) => {
+    if (id === customer_to_merge_id) {
+      return errorResult('Error merging customers: a customer cannot be merged into itself');
+    }
+
+    try {
+      const requestData = {
+        customer_to_merge_id,
+      };
+
+      const response = await apiClient.post(`/api/v1/customers/${id}/merge/`, requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error merging customers', error);
+    }
+  });
+
+  server.registerTool('export_customers', {
+    title: 'Export Customers',
+    description: 'Export all customers',
+    inputSchema: {},
+    outputSchema: toolOutput(),
+  }, async () => {
+    try {
+      const response = await apiClient.get('/api/v1/customers/export/');
+
+      return exportResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error exporting customers', error);
+    }
+  });
+
+  server.registerTool('import_customers_from_csv', {
+    title: 'Import Customers from CSV',
+    description: 'Import multiple customers from a CSV file, optionally waiting for the import to finish',
+    inputSchema: {
+      csv_file: z.string().min(1, 'CSV file content is required (base64 encoded or file path)'),
+      wait_for_completion: z.boolean().optional().default(false).describe('Poll the import result until it finishes and report failed rows'),
+      poll_interval_seconds: z.number().min(1).max(60).optional().default(2),
+      timeout_seconds: z.number().min(1).max(900).optional().default(120),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ csv_file, wait_for_completion, poll_interval_seconds, timeout_seconds }, extra) => {
+    try {
+      const requestData = {
+        csv_file,
+      };
+
+      const response = await apiClient.post('/api/v1/customers/import_from_csv/', requestData);
+
+      if (wait_for_completion) {
+        return jsonResult(await reportImportCompletion(apiClient, 'customers', response.data, extra, poll_interval_seconds, timeout_seconds));
+      }
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error importing customers from CSV', error);
+    }
+  });
+
+  // License User Management Tools
+  server.registerTool('list_license_users', {
+    title: 'List License Users',
+    description: 'List license users with optional filtering. Set fetch_all or max_items to collect several pages; responses then include the total count and a next_cursor to resume from',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      license_id: z.number().min(1).optional(),
+      email: z.string().email().optional(),
+      ...paginationInputSchema,
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(licenseUserSchema)),
+  }, async ({ limit, offset, license_id, email, fetch_all, max_items, cursor, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (license_id) {
+        queryParams.append('license_id', license_id.toString());
+      }
+      if (email) {
+        queryParams.append('email', email);
+      }
+
+      if (fetch_all || max_items || cursor) {
+        const firstUrl = cursor ? decodeCursor(cursor, '/api/v1/license-users/') : `/api/v1/license-users/?${queryParams}`;
+        const pages = await collectPages(apiClient, firstUrl, fetch_all || max_items ? max_items ?? MAX_ITEMS_CAP : limit);
+
+        return formattedResult(pages, { fields, format });
+      }
+
+      const response = await apiClient.get(`/api/v1/license-users/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing license users', error);
+    }
+  });
+
+  server.registerTool('assign_user_to_license', {
+    title: 'Assign User to License',
+    description: 'Assign a user to a specific license',
+    inputSchema: {
+      license_id: z.number().min(1, 'License ID is required'),
+      email: z.string().email('Valid email is required'),
+      first_name: z.string().optional(),
+      last_name: z.string().optional(),
+      phone_number: z.string().optional(),
+      is_manager: z.boolean().optional().default(false),
+      password: z.string().optional(),
+      max_activations: z.number().min(0).optional(),
+      total_activations: z.number().min(0).optional(),
+    },
+    outputSchema: toolOutput(licenseUserSchema),
+  }, async ({ license_id, email, first_name, last_name, phone_number, is_manager, password, max_activations, total_activations }) => {
+    try {
+      const requestData: any = {
+        email,
+        is_manager,
+      };
+
+      if (first_name) requestData.first_name = first_name;
+      if (last_name) requestData.last_name = last_name;
+      if (phone_number) requestData.phone_number = phone_number;
+      if (password) requestData.password = password;
+      if (max_activations !== undefined) requestData.max_activations = max_activations;
+      if (total_activations !== undefined) requestData.total_activations = total_activations;
+
+      const response = await apiClient.post(`/api/v1/licenses/${license_id}/assign_user/`, requestData);
+
+      return jsonResult(redactSecrets(response.data));
+    } catch (error) {
+      return apiErrorResult('Error assigning user to license', error);
+    }
+  });
+
+  server.registerTool('assign_users_to_license', {
+    title: 'Assign Users to License',
+    description: 'Assign many users to a specific license in a single call',
+    inputSchema: {
+      license_id: z.number().min(1, 'License ID is required'),
+      users: z.array(z.object({
+        email: z.string().email('Valid email is required'),
+        is_manager: z.boolean().optional().default(false),
+      })).min(1, 'At least one user must be specified').max(1000, 'Maximum 1000 users can be assigned at once'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_id, users }) => {
+    try {
+      const requestData = {
+        emails: users,
+      };
+
+      const response = await apiClient.post(`/api/v1/licenses/${license_id}/assign_users/`, requestData);
+
+      return jsonResult(redactSecrets(response.data));
+    } catch (error) {
+      return apiErrorResult('Error assigning users to license', error);
+    }
+  });
+
+  server.registerTool('update_license_user', {
+    title: 'Update License User',
+    description: 'Update the details of a license user',
+    inputSchema: {
+      id: z.number().min(1, 'License user ID is required'),
+      email: z.string().email().optional(),
+      first_name: z.string().optional(),
+      last_name: z.string().optional(),
+      phone_number: z.string().optional(),
+    },
+    outputSchema: toolOutput(licenseUserSchema),
+  }, async ({ id, email, first_name, last_name, phone_number }) => {
+    try {
+      const updateData: any = {};
+      if (email !== undefined) updateData.email = email;
+      if (first_name !== undefined) updateData.first_name = first_name;
+      if (last_name !== undefined) updateData.last_name = last_name;
+      if (phone_number !== undefined) updateData.phone_number = phone_number;
+
+      const response = await apiClient.patch(`/api/v1/license-users/${id}/`, updateData);
+
+      return jsonResult(redactSecrets(response.data));
+    } catch (error) {
+      return apiErrorResult('Error updating license user', error);
+    }
+  });
+
+  server.registerTool('set_license_user_password', {
+    title: 'Set License User Password',
+    description: 'Set or reset the password of a license user, identified by license user ID or email, e.g. after a suspected compromise. Share the new password with the user yourself; it is never included in the output',
+    inputSchema: {
+      license_user_id: z.number().min(1).optional(),
+      email: z.string().email().optional(),
+      password: z.string().min(8, 'Password must be at least 8 characters'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_user_id, email, password }) => {
+    if (!license_user_id === !email) {
+      return errorResult('Error setting license user password: specify exactly one of license_user_id or email');
+    }
+
+    try {
+      const url = license_user_id
+        ? `/api/v1/license-users/${license_user_id}/set_password/`
+        : `/api/v1/license-users/set_password/?${new URLSearchParams({ email: email! })}`;
+
+      await apiClient.post(url, { password });
+
+      return messageResult(`Password updated for license user ${license_user_id ?? email}`);
+    } catch (error) {
+      return apiErrorResult('Error setting license user password', error);
+    }
+  });
+
+  server.registerTool('unassign_user_from_license', {
+    title: 'Unassign User from License',
+    description: 'Remove a user assignment from a specific license',
+    inputSchema: {
+      license_id: z.number().min(1, 'License ID is required'),
+      license_user_id: z.number().min(1, 'License user ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_id, license_user_id }) => {
+    try {
+      const requestData = {
+        license_user_id,
+      };
+
+      const response = await apiClient.post(`/api/v1/licenses/${license_id}/unassign_user/`, requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error unassigning user from license', error);
+    }
+  });
+
+  server.registerTool('set_user_activations', {
+    title: 'Set User Activations',
+    description: 'Set activation limits for users on a specific license',
+    inputSchema: {
+      license_id: z.number().min(1, 'License ID is required'),
+      user_activations: z.record(z.string(), z.object({
+        max_activations: z.number().min(0).optional(),
+        reset_total_activations: z.boolean().optional(),
+      })).refine(obj => Object.keys(obj).length > 0, 'At least one user activation must be specified'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_id, user_activations }) => {
+    try {
+      const requestData = {
+        user_activations,
+      };
+
+      const response = await apiClient.post(`/api/v1/licenses/${license_id}/set_users_activations/`, requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error setting user activations', error);
+    }
+  });
+
+  // Bulk Operations Tools
+  server.registerTool('bulk_update_licenses', {
+    title: 'Bulk Update Licenses',
+    description: 'Update multiple licenses in a single operation. Run with dry_run first to preview the changes and get the confirmation_token required to apply them',
+    inputSchema: {
+      licenses: z.array(z.object({
+        id: z.number().min(1, 'License ID is required'),
+        is_trial: z.boolean().optional(),
+        enable_maintenance_period: z.boolean().optional(),
+        enabled: z.boolean().optional(),
+        note: z.string().optional(),
+        validity_period: z.number().min(0).optional(),
+      })).min(1, 'At least one license must be specified').max(100, 'Maximum 100 licenses can be updated at once'),
+      ...dryRunInputSchema,
+    },
+    outputSchema: toolOutput(),
+  }, async ({ licenses, dry_run, confirmation_token }) => {
+    try {
+      if (dry_run) {
+        const changes = await previewChanges(apiClient, '/api/v1/licenses/', licenses.map(({ id, ...fields }) => ({ id, changes: fields })));
+        return jsonResult(confirmations.preview('bulk_update_licenses', { licenses }, changes));
+      }
+
+      const rejection = confirmations.redeem(confirmation_token, 'bulk_update_licenses', { licenses });
+      if (rejection) {
+        return errorResult(`Error bulk updating licenses: ${rejection}`, { code: 'confirmation_required', retryable: false });
+      }
+
+      const requestData = {
+        licenses,
+      };
+
+      const response = await apiClient.post('/api/v1/licenses/bulk_update/', requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error bulk updating licenses', error);
+    }
+  });
+
+  server.registerTool('bulk_disable_licenses', {
+    title: 'Bulk Disable Licenses',
+    description: 'Disable multiple licenses in a single operation. Run with dry_run first to preview the changes and get the confirmation_token required to apply them',
+    inputSchema: {
+      license_ids: z.array(z.number().min(1, 'License ID must be a positive number'))
+        .min(1, 'At least one license ID must be specified')
+        .max(100, 'Maximum 100 licenses can be disabled at once'),
+      ...dryRunInputSchema,
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_ids, dry_run, confirmation_token }) => {
+    try {
+      if (dry_run) {
+        const changes = await previewChanges(apiClient, '/api/v1/licenses/', license_ids.map((id) => ({ id, changes: { enabled: false } })));
+        return jsonResult(confirmations.preview('bulk_disable_licenses', { license_ids }, changes));
+      }
+
+      const rejection = confirmations.redeem(confirmation_token, 'bulk_disable_licenses', { license_ids });
+      if (rejection) {
+        return errorResult(`Error bulk disabling licenses: ${rejection}`, { code: 'confirmation_required', retryable: false });
+      }
+
+      const requestData = {
+        license_ids,
+      };
+
+      const response = await apiClient.post('/api/v1/licenses/disable_bulk/', requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error bulk disabling licenses', error);
+    }
+  });
+
+  server.registerTool('import_licenses_from_csv', {
+    title: 'Import Licenses from CSV',
+    description: 'Import multiple licenses from a CSV file, optionally waiting for the import to finish',
+    inputSchema: {
+      csv_file: z.string().min(1, 'CSV file content is required (base64 encoded or file path)'),
+      product_id: z.number().min(1).optional(),
+      customer_id: z.number().min(1).optional(),
+      wait_for_completion: z.boolean().optional().default(false).describe('Poll the import result until it finishes and report failed rows'),
+      poll_interval_seconds: z.number().min(1).max(60).optional().default(2),
+      timeout_seconds: z.number().min(1).max(900).optional().default(120),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ csv_file, product_id, customer_id, wait_for_completion, poll_interval_seconds, timeout_seconds }, extra) => {
+    try {
+      const requestData: any = {
+        csv_file,
+      };
+
+      if (product_id) requestData.product_id = product_id;
+      if (customer_id) requestData.customer_id = customer_id;
+
+      const response = await apiClient.post('/api/v1/licenses/import_from_csv/', requestData);
+
+      if (wait_for_completion) {
+        return jsonResult(await reportImportCompletion(apiClient, 'licenses', response.data, extra, poll_interval_seconds, timeout_seconds));
+      }
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error importing licenses from CSV', error);
+    }
+  });
+
+  // Order Management Tools
+  server.registerTool('list_orders', {
+    title: 'List Orders',
+    description: 'List orders with optional filtering',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      order_by: z.string().optional(),
+      is_archived: z.boolean().optional(),
+      short_code: z.string().optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(orderSchema)),
+  }, async ({ limit, offset, order_by, is_archived, short_code, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (order_by) queryParams.append('order_by', order_by);
+      if (is_archived !== undefined) queryParams.append('is_archived', is_archived.toString());
+      if (short_code) queryParams.append('short_code', short_code);
+
+      const response = await apiClient.get(`/api/v1/orders/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing orders', error);
+    }
+  });
+
+  server.registerTool('get_order', {
+    title: 'Get Order',
+    description: 'Get details of a specific order',
+    inputSchema: {
+      id: z.number().min(1, 'Order ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(orderSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/orders/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting order', error);
+    }
+  });
+
+  server.registerTool('create_order', {
+    title: 'Create Order',
+    description: 'Create an order for a customer, issuing licenses for one or more products in a single call',
+    inputSchema: {
+      id: z.string().min(1, 'Order ID is required'),
+      append: z.boolean().optional(),
+      is_test: z.boolean().optional().default(false),
+      created: z.string().optional(),
+      order_type: z.string().optional(),
+      reference: z.string().optional(),
+      language: z.string().optional(),
+      campaign_params: z.string().optional(),
+      download_id: z.string().optional(),
+      customer: z.object({
+        email: z.string().email('Valid customer email is required'),
+        first_name: z.string().optional(),
+        last_name: z.string().optional(),
+        company_name: z.string().optional(),
+        phone: z.string().optional(),
+        reference: z.string().optional(),
+      }).optional(),
+      items: z.array(z.object({
+        product_code: z.string().min(1, 'Product code is required'),
+        licenses: z.array(z.object({
+          key: z.string().optional(),
+          users: z.array(z.object({
+            email: z.string().email('Valid user email is required'),
+            is_manager: z.boolean().optional(),
+          })).optional(),
+          max_activations: z.number().min(0).optional(),
+          license_type: z.enum(['perpetual', 'time-limited', 'consumption', 'subscription']).optional(),
+          max_consumptions: z.number().min(0).optional(),
+          valid_duration: z.string().optional(),
+          enable_maintenance_period: z.boolean().optional(),
+          maintenance_duration: z.string().optional(),
+          validity_period: z.string().optional(),
+          product_features: z.array(z.object({
+            code: z.string().min(1, 'Feature code is required'),
+            max_consumption: z.number().min(0).optional(),
+          })).optional(),
+          custom_fields: z.array(z.object({
+            name: z.string().min(1, 'Custom field name is required'),
+            value: z.union([z.string(), z.number()]),
+          })).optional(),
+          is_trial: z.boolean().optional(),
+        })).min(1, 'At least one license must be specified per item'),
+      })).min(1, 'At least one order item must be specified'),
+      prevent_vm: z.boolean().optional(),
+    },
+    outputSchema: toolOutput(orderSchema),
+  }, async (order) => {
+    try {
+      const response = await apiClient.post('/api/v1/orders/create_order/', order);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating order', error);
+    }
+  });
+
+  server.registerTool('update_order', {
+    title: 'Update Order',
+    description: 'Update an existing order',
+    inputSchema: {
+      id: z.number().min(1, 'Order ID is required'),
+      store_id: z.string().optional(),
+      reference: z.string().optional(),
+      is_archived: z.boolean().optional(),
+      is_test: z.boolean().optional(),
+    },
+    outputSchema: toolOutput(orderSchema),
+  }, async ({ id, store_id, reference, is_archived, is_test }) => {
+    try {
+      const updateData: any = {};
+      if (store_id !== undefined) updateData.store_id = store_id;
+      if (reference !== undefined) updateData.reference = reference;
+      if (is_archived !== undefined) updateData.is_archived = is_archived;
+      if (is_test !== undefined) updateData.is_test = is_test;
+
+      const response = await apiClient.patch(`/api/v1/orders/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating order', error);
+    }
+  });
+
+  server.registerTool('export_order', {
+    title: 'Export Order',
+    description: 'Export a single order with all of its licenses',
+    inputSchema: {
+      id: z.number().min(1, 'Order ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/orders/${id}/export/`);
+
+      return exportResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error exporting order', error);
+    }
+  });
+
+  server.registerTool('export_orders', {
+    title: 'Export Orders',
+    description: 'Export orders created within a date range. Either range or both from and to are required',
+    inputSchema: {
+      range: z.enum(['last30', 'last60', 'last80', 'last365']).optional(),
+      from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+      to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ range, from, to }) => {
+    try {
+      if (!range && !(from && to)) {
+        return errorResult('Error exporting orders: either range or both from and to must be specified');
+      }
+
+      const queryParams = new URLSearchParams();
+
+      if (range) queryParams.append('range', range);
+      if (from) queryParams.append('from', from);
+      if (to) queryParams.append('to', to);
+
+      const response = await apiClient.get(`/api/v1/orders/export/?${queryParams}`);
+
+      return exportResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error exporting orders', error);
+    }
+  });
+
+  server.registerTool('list_order_managers', {
+    title: 'List Order Managers',
+    description: 'List managers assigned to a specific order',
+    inputSchema: {
+      order_id: z.number().min(1, 'Order ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(licenseUserSchema)),
+  }, async ({ order_id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/orders/${order_id}/managers/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing order managers', error);
+    }
+  });
+
+  server.registerTool('add_order_manager', {
+    title: 'Add Order Manager',
+    description: 'Add a manager to a specific order',
+    inputSchema: {
+      order_id: z.number().min(1, 'Order ID is required'),
+      email: z.string().email('Valid email is required'),
+      password: z.string().optional(),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ order_id, email, password }) => {
+    try {
+      const requestData: any = {
+        email,
+      };
+
+      if (password) requestData.password = password;
+
+      const response = await apiClient.post(`/api/v1/orders/${order_id}/add_manager/`, requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error adding order manager', error);
+    }
+  });
+
+  server.registerTool('remove_order_manager', {
+    title: 'Remove Order Manager',
+    description: 'Remove a manager from a specific order',
+    inputSchema: {
+      order_id: z.number().min(1, 'Order ID is required'),
+      license_user_id: z.number().min(1, 'License user ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ order_id, license_user_id }) => {
+    try {
+      const requestData = {
+        license_user_id,
+      };
+
+      const response = await apiClient.post(`/api/v1/orders/${order_id}/remove_manager/`, requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error removing order manager', error);
+    }
+  });
+
+  // Device Management Tools
+  server.registerTool('list_devices', {
+    title: 'List Devices',
+    description: 'List devices with optional filtering by license, hardware ID, hostname or blacklist status',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      order_by: z.string().optional(),
+      license: z.number().min(1).optional(),
+      hardware_id: z.string().optional(),
+      hostname: z.string().optional(),
+      blacklisted: z.boolean().optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(deviceSchema)),
+  }, async ({ limit, offset, order_by, license, hardware_id, hostname, blacklisted, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (order_by) queryParams.append('order_by', order_by);
+      if (license) queryParams.append('license', license.toString());
+      if (hardware_id) queryParams.append('hardware_id', hardware_id);
+      if (hostname) queryParams.append('hostname', hostname);
+      if (blacklisted !== undefined) queryParams.append('blacklisted', blacklisted.toString());
+
+      const response = await apiClient.get(`/api/v1/devices/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing devices', error);
+    }
+  });
+
+  server.registerTool('get_device', {
+    title: 'Get Device',
+    description: 'Get details of a specific device',
+    inputSchema: {
+      id: z.number().min(1, 'Device ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(deviceSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/devices/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting device', error);
+    }
+  });
+
+  server.registerTool('reset_device', {
+    title: 'Reset Device',
+    description: 'Reset a device, releasing its activation so the license can be activated again',
+    inputSchema: {
+      id: z.number().min(1, 'Device ID is required'),
+    },
+    outputSchema: toolOutput(deviceSchema),
+  }, async ({ id }) => {
+    try {
+      const response = await apiClient.post(`/api/v1/devices/${id}/reset/`);
+
+      return response.data ? jsonResult(response.data) : messageResult(`Device ${id} reset successfully`);
+    } catch (error) {
+      return apiErrorResult('Error resetting device', error);
+    }
+  });
+
+  server.registerTool('blacklist_device', {
+    title: 'Blacklist Device',
+    description: 'Blacklist a device so it can no longer activate or check licenses',
+    inputSchema: {
+      id: z.number().min(1, 'Device ID is required'),
+    },
+    outputSchema: toolOutput(deviceSchema),
+  }, async ({ id }) => {
+    try {
+      const response = await apiClient.post(`/api/v1/devices/${id}/blacklist/`);
+
+      return response.data ? jsonResult(response.data) : messageResult(`Device ${id} blacklisted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error blacklisting device', error);
+    }
+  });
+
+  server.registerTool('borrow_device', {
+    title: 'Borrow Device',
+    description: 'Borrow a floating license for a device until the given date',
+    inputSchema: {
+      id: z.number().min(1, 'Device ID is required'),
+      borrowed_until: z.string().min(1, 'Borrow expiration date is required'),
+    },
+    outputSchema: toolOutput(deviceSchema),
+  }, async ({ id, borrowed_until }) => {
+    try {
+      const requestData = {
+        borrowed_until,
+      };
+
+      const response = await apiClient.post(`/api/v1/devices/${id}/borrow/`, requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error borrowing device', error);
+    }
+  });
+
+  // Device Variable Management Tools
+  server.registerTool('list_device_variables', {
+    title: 'List Device Variables',
+    description: 'List tracked device variables across devices, with optional filtering by device, license or variable name',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      device: z.number().min(1).optional(),
+      license: z.number().min(1).optional(),
+      variable: z.string().optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(deviceVariableSchema)),
+  }, async ({ limit, offset, device, license, variable, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (device) queryParams.append('device', device.toString());
+      if (license) queryParams.append('device__license', license.toString());
+      if (variable) queryParams.append('variable', variable);
+
+      const response = await apiClient.get(`/api/v1/device-variables/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing device variables', error);
+    }
+  });
+
+  server.registerTool('get_device_variable', {
+    title: 'Get Device Variable',
+    description: 'Get details of a specific device variable',
+    inputSchema: {
+      id: z.number().min(1, 'Device variable ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(deviceVariableSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/device-variables/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting device variable', error);
+    }
+  });
+
+  server.registerTool('update_device_variable', {
+    title: 'Update Device Variable',
+    description: 'Update the name or value of a device variable',
+    inputSchema: {
+      id: z.number().min(1, 'Device variable ID is required'),
+      variable: z.string().min(1).optional(),
+      value: z.string().optional(),
+    },
+    outputSchema: toolOutput(deviceVariableSchema),
+  }, async ({ id, variable, value }) => {
+    try {
+      const updateData: any = {};
+      if (variable !== undefined) updateData.variable = variable;
+      if (value !== undefined) updateData.value = value;
+
+      const response = await apiClient.patch(`/api/v1/device-variables/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating device variable', error);
+    }
+  });
+
+  server.registerTool('delete_device_variable', {
+    title: 'Delete Device Variable',
+    description: 'Delete a stale device variable',
+    inputSchema: {
+      id: z.number().min(1, 'Device variable ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      await apiClient.delete(`/api/v1/device-variables/${id}/`);
+
+      return messageResult(`Device variable ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting device variable', error);
+    }
+  });
+
+  // Analytics Tools
+  server.registerTool('list_activities', {
+    title: 'List Activities',
+    description: 'List API activity records (activations, checks, deactivations) with date range and product filters, including a compact summary',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      order_by: z.string().optional(),
+      from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+      to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+      product: z.number().min(1).optional(),
+      license: z.number().min(1).optional(),
+      customer: z.number().min(1).optional(),
+      action: z.string().optional(),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ limit, offset, order_by, from, to, product, license, customer, action }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (order_by) queryParams.append('order_by', order_by);
+      if (from) queryParams.append('from', from);
+      if (to) queryParams.append('to', to);
+      if (product) queryParams.append('product', product.toString());
+      if (license) queryParams.append('license', license.toString());
+      if (customer) queryParams.append('customer', customer.toString());
+      if (action) queryParams.append('action', action);
+
+      const response = await apiClient.get(`/api/v1/activities/?${queryParams}`);
+
+      return jsonResult({
+        summary: summarizeAnalytics(response.data),
+        data: response.data,
+      });
+    } catch (error) {
+      return apiErrorResult('Error listing activities', error);
+    }
+  });
+
+  server.registerTool('get_usage_analytics', {
+    title: 'Get Usage Analytics',
+    description: 'Get aggregated hourly API usage statistics (call counts, action breakdown, top customers, licenses or orders) with date range and product filters, including a compact summary',
+    inputSchema: {
+      metric: z.enum([
+        'hourly',
+        'actions_stats',
+        'total_call_count',
+        'top_call_count_customers',
+        'top_call_count_licenses',
+        'top_call_count_orders',
+      ]).describe('Statistic to retrieve from the activities-hourly endpoints'),
+      from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+      to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in yyyy-mm-dd format').optional(),
+      product: z.number().min(1).optional(),
+      limit: z.number().min(1).max(1000).optional(),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ metric, from, to, product, limit }) => {
+    try {
+      const queryParams = new URLSearchParams();
+
+      if (from) queryParams.append('from', from);
+      if (to) queryParams.append('to', to);
+      if (product) queryParams.append('product', product.toString());
+      if (limit) queryParams.append('limit', limit.toString());
+
+      const path = metric === 'hourly' ? '/api/v1/activities-hourly/' : `/api/v1/activities-hourly/${metric}/`;
+      const response = await apiClient.get(`${path}?${queryParams}`);
+
+      return jsonResult({
+        metric,
+        summary: summarizeAnalytics(response.data),
+        data: response.data,
+      });
+    } catch (error) {
+      return apiErrorResult('Error getting usage analytics', error);
+    }
+  });
+
+  // Product Management Tools
+  server.registerTool('list_products', {
+    title: 'List Products',
+    description: 'List products with optional filtering. Set fetch_all or max_items to collect several pages; responses then include the total count and a next_cursor to resume from',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      order_by: z.string().optional(),
+      short_code: z.string().optional(),
+      is_archived: z.boolean().optional(),
+      ...paginationInputSchema,
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(productSchema)),
+  }, async ({ limit, offset, order_by, short_code, is_archived, fetch_all, max_items, cursor, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (order_by) queryParams.append('order_by', order_by);
+      if (short_code) queryParams.append('short_code', short_code);
+      if (is_archived !== undefined) queryParams.append('is_archived', is_archived.toString());
+
+      if (fetch_all || max_items || cursor) {
+        const firstUrl = cursor ? decodeCursor(cursor, '/api/v1/products/') : `/api/v1/products/?${queryParams}`;
+        const pages = await collectPages(apiClient, firstUrl, fetch_all || max_items ? max_items ?? MAX_ITEMS_CAP : limit);
+
+        return formattedResult(pages, { fields, format });
+      }
+
+      const response = await apiClient.get(`/api/v1/products/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing products', error);
+    }
+  });
+
+  server.registerTool('get_product', {
+    title: 'Get Product',
+    description: 'Get details of a specific product',
+    inputSchema: {
+      id: z.number().min(1, 'Product ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(productSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/products/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting product', error);
+    }
+  });
+
+  server.registerTool('list_bundle_products', {
+    title: 'List Bundle Products',
+    description: 'List the products contained in a bundle product',
+    inputSchema: {
+      bundle_id: z.number().min(1, 'Bundle product ID is required'),
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(productSchema)),
+  }, async ({ bundle_id, limit, offset, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      const response = await apiClient.get(`/api/v1/products/${bundle_id}/bundle/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing bundle products', error);
+    }
+  });
+
+  server.registerTool('list_product_bundles', {
+    title: 'List Product Bundles',
+    description: 'List the bundles that include a specific product',
+    inputSchema: {
+      product_id: z.number().min(1, 'Product ID is required'),
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(productSchema)),
+  }, async ({ product_id, limit, offset, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      const response = await apiClient.get(`/api/v1/products/${product_id}/in_bundle/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing product bundles', error);
+    }
+  });
+
+  // Installation File Management Tools
+  server.registerTool('list_installation_files', {
+    title: 'List Installation Files',
+    description: 'List installation files (released installer versions) with optional filtering by product',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      product: z.number().min(1).optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(installationFileSchema)),
+  }, async ({ limit, offset, product, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (product) queryParams.append('product', product.toString());
+
+      const response = await apiClient.get(`/api/v1/installation-files/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing installation files', error);
+    }
+  });
+
+  server.registerTool('get_installation_file_details', {
+    title: 'Get Installation File Details',
+    description: 'Get details of a specific installation file by ID',
+    inputSchema: {
+      id: z.number().min(1, 'Installation file ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(installationFileSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/installation-files/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting installation file', error);
+    }
+  });
+
+  server.registerTool('create_installation_file', {
+    title: 'Create Installation File',
+    description: 'Register a new installer version for a product so licensed clients can find it through get_versions and get_installation_file',
+    inputSchema: {
+      product: z.number().min(1, 'Product ID is required'),
+      environment: z.string().min(1, 'Environment is required').describe('Installation environment as configured for the product, e.g. MacOS, win64 or linux'),
+      version: z.string().min(1, 'Version is required'),
+      channel: z.string().optional(),
+      full_link: z.string().url('Installation file link must be a valid URL').optional(),
+      hash_md5: z.string().regex(/^[a-fA-F0-9]{32}$/, 'hash_md5 must be a 32 character MD5 hex digest').optional(),
+      release_date: z.string().optional().describe('Release date as the LicenseSpring platform shows it, e.g. 20.04.2022'),
+      release_notes_link: z.string().optional(),
+      eula_link: z.string().optional(),
+      size: z.string().optional().describe('Installer size as displayed to users, e.g. 120 MB'),
+      requires_version: z.string().optional(),
+    },
+    outputSchema: toolOutput(installationFileSchema),
+  }, async (installationFile) => {
+    try {
+      const response = await apiClient.post('/api/v1/installation-files/', installationFile);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating installation file', error);
+    }
+  });
+
+  // Product Feature Management Tools
+  server.registerTool('list_product_features', {
+    title: 'List Product Features',
+    description: 'List product features with optional filtering by product',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      product: z.number().min(1).optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(productFeatureSchema)),
+  }, async ({ limit, offset, product, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (product) queryParams.append('product', product.toString());
+
+      const response = await apiClient.get(`/api/v1/product-features/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing product features', error);
+    }
+  });
+
+  server.registerTool('get_product_feature', {
+    title: 'Get Product Feature',
+    description: 'Get details of a specific product feature',
+    inputSchema: {
+      id: z.number().min(1, 'Product feature ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(productFeatureSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/product-features/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting product feature', error);
+    }
+  });
+
+  server.registerTool('create_product_feature', {
+    title: 'Create Product Feature',
+    description: 'Create a new activation or consumption feature for a product',
+    inputSchema: {
+      product: z.number().min(1, 'Product ID is required'),
+      name: z.string().min(1, 'Feature name is required'),
+      code: z.string().min(1, 'Feature code is required'),
+      feature_type: z.enum(['activation', 'consumption']),
+      max_consumption: z.number().min(0).optional(),
+      allow_overages: z.boolean().optional(),
+      max_overages: z.number().min(0).optional(),
+      reset_consumption: z.boolean().optional(),
+      consumption_period: z.enum(['daily', 'weekly', 'monthly', 'annually']).optional(),
+    },
+    outputSchema: toolOutput(productFeatureSchema),
+  }, async (feature) => {
+    const validationErrors = validateProductFeature(feature, true);
+    if (validationErrors.length > 0) {
+      return errorResult(`Error creating product feature: ${validationErrors.join('; ')}`);
+    }
+
+    try {
+      const response = await apiClient.post('/api/v1/product-features/', feature);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating product feature', error);
+    }
+  });
+
+  server.registerTool('update_product_feature', {
+    title: 'Update Product Feature',
+    description: 'Update an existing product feature',
+    inputSchema: {
+      id: z.number().min(1, 'Product feature ID is required'),
+      name: z.string().min(1).optional(),
+      code: z.string().min(1).optional(),
+      feature_type: z.enum(['activation', 'consumption']).optional(),
+      max_consumption: z.number().min(0).optional(),
+      allow_overages: z.boolean().optional(),
+      max_overages: z.number().min(0).optional(),
+      reset_consumption: z.boolean().optional(),
+      consumption_period: z.enum(['daily', 'weekly', 'monthly', 'annually']).optional(),
+    },
+    outputSchema: toolOutput(productFeatureSchema),
+  }, async ({ id, ...fields }) => {
+    const validationErrors = validateProductFeature(fields);
+    if (validationErrors.length > 0) {
+      return errorResult(`Error updating product feature: ${validationErrors.join('; ')}`);
+    }
+
+    try {
+      const updateData: any = {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) updateData[key] = value;
+      }
+
+      const response = await apiClient.patch(`/api/v1/product-features/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating product feature', error);
+    }
+  });
+
+  server.registerTool('delete_product_feature', {
+    title: 'Delete Product Feature',
+    description: 'Delete a product feature',
+    inputSchema: {
+      id: z.number().min(1, 'Product feature ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      await apiClient.delete(`/api/v1/product-features/${id}/`);
+
+      return messageResult(`Product feature ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting product feature', error);
+    }
+  });
+
+  server.registerTool('update_license_features', {
+    title: 'Update License Features',
+    description: 'Add or change product features on a specific license, e.g. to enable a module for one customer',
+    inputSchema: {
+      license_id: z.number().min(1, 'License ID is required'),
+      product_features: z.array(z.object({
+        product_feature: z.number().min(1, 'Product feature ID is required'),
+        max_consumption: z.number().min(0).optional(),
+        total_consumptions: z.number().min(0).optional(),
+      })).min(1, 'At least one product feature must be specified'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ license_id, product_features }) => {
+    try {
+      const requestData = {
+        product_features,
+      };
+
+      const response = await apiClient.post(`/api/v1/licenses/${license_id}/update_features/`, requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating license features', error);
+    }
+  });
+
+  server.registerTool('import_license_features_from_csv', {
+    title: 'Import License Features from CSV',
+    description: 'Import license features for multiple licenses from a CSV file, optionally waiting for the import to finish',
+    inputSchema: {
+      csv_file: z.string().min(1, 'CSV file content is required (base64 encoded or file path)'),
+      wait_for_completion: z.boolean().optional().default(false).describe('Poll the import result until it finishes and report failed rows'),
+      poll_interval_seconds: z.number().min(1).max(60).optional().default(2),
+      timeout_seconds: z.number().min(1).max(900).optional().default(120),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ csv_file, wait_for_completion, poll_interval_seconds, timeout_seconds }, extra) => {
+    try {
+      const requestData = {
+        csv_file,
+      };
+
+      const response = await apiClient.post('/api/v1/licenses/import_features_from_csv/', requestData);
+
+      if (wait_for_completion) {
+        return jsonResult(await reportImportCompletion(apiClient, 'license_features', response.data, extra, poll_interval_seconds, timeout_seconds));
+      }
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error importing license features from CSV', error);
+    }
+  });
+
+  // Custom Field Management Tools
+  server.registerTool('list_product_custom_fields', {
+    title: 'List Product Custom Fields',
+    description: 'List product custom field definitions with optional filtering by product',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      product: z.number().min(1).optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(customFieldSchema)),
+  }, async ({ limit, offset, product, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (product) queryParams.append('product', product.toString());
+
+      const response = await apiClient.get(`/api/v1/product-custom-fields/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing product custom fields', error);
+    }
+  });
+
+  server.registerTool('get_product_custom_field', {
+    title: 'Get Product Custom Field',
+    description: 'Get details of a specific product custom field',
+    inputSchema: {
+      id: z.number().min(1, 'Product custom field ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(customFieldSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/product-custom-fields/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting product custom field', error);
+    }
+  });
+
+  server.registerTool('create_product_custom_field', {
+    title: 'Create Product Custom Field',
+    description: 'Create a custom field definition with a default value for a product',
+    inputSchema: {
+      product: z.number().min(1, 'Product ID is required'),
+      name: z.string().min(1, 'Custom field name is required'),
+      data_type: z.enum(['number', 'text', 'date/time']),
+      default_value: z.string().optional().default(''),
+      description: z.string().optional(),
+    },
+    outputSchema: toolOutput(customFieldSchema),
+  }, async (customField) => {
+    try {
+      const response = await apiClient.post('/api/v1/product-custom-fields/', customField);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating product custom field', error);
+    }
+  });
+
+  server.registerTool('update_product_custom_field', {
+    title: 'Update Product Custom Field',
+    description: 'Update an existing product custom field definition',
+    inputSchema: {
+      id: z.number().min(1, 'Product custom field ID is required'),
+      name: z.string().min(1).optional(),
+      data_type: z.enum(['number', 'text', 'date/time']).optional(),
+      default_value: z.string().optional(),
+      description: z.string().optional(),
+    },
+    outputSchema: toolOutput(customFieldSchema),
+  }, async ({ id, name, data_type, default_value, description }) => {
+    try {
+      const updateData: any = {};
+      if (name !== undefined) updateData.name = name;
+      if (data_type !== undefined) updateData.data_type = data_type;
+      if (default_value !== undefined) updateData.default_value = default_value;
+      if (description !== undefined) updateData.description = description;
+
+      const response = await apiClient.patch(`/api/v1/product-custom-fields/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating product custom field', error);
+    }
+  });
+
+  server.registerTool('delete_product_custom_field', {
+    title: 'Delete Product Custom Field',
+    description: 'Delete a product custom field definition',
+    inputSchema: {
+      id: z.number().min(1, 'Product custom field ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      await apiClient.delete(`/api/v1/product-custom-fields/${id}/`);
+
+      return messageResult(`Product custom field ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting product custom field', error);
+    }
+  });
+
+  server.registerTool('list_license_custom_fields', {
+    title: 'List License Custom Fields',
+    description: 'List license custom field values with optional filtering by license',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      license: z.number().min(1).optional(),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(customFieldSchema)),
+  }, async ({ limit, offset, license, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (license) queryParams.append('license', license.toString());
+
+      const response = await apiClient.get(`/api/v1/license-custom-fields/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing license custom fields', error);
+    }
+  });
+
+  server.registerTool('get_license_custom_field', {
+    title: 'Get License Custom Field',
+    description: 'Get details of a specific license custom field value',
+    inputSchema: {
+      id: z.number().min(1, 'License custom field ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(customFieldSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/license-custom-fields/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting license custom field', error);
+    }
+  });
+
+  server.registerTool('create_license_custom_field', {
+    title: 'Create License Custom Field',
+    description: 'Set a license-specific value for a product custom field',
+    inputSchema: {
+      license: z.number().min(1, 'License ID is required'),
+      product_custom_field: z.number().min(1, 'Product custom field ID is required'),
+      value: z.string(),
+    },
+    outputSchema: toolOutput(customFieldSchema),
+  }, async ({ license, product_custom_field, value }) => {
+    try {
+      const response = await apiClient.post('/api/v1/license-custom-fields/', {
+        license,
+        product_custom_field,
+        value,
+      });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating license custom field', error);
+    }
+  });
+
+  server.registerTool('update_license_custom_field', {
+    title: 'Update License Custom Field',
+    description: 'Update the value of a license custom field',
+    inputSchema: {
+      id: z.number().min(1, 'License custom field ID is required'),
+      value: z.string(),
+    },
+    outputSchema: toolOutput(customFieldSchema),
+  }, async ({ id, value }) => {
+    try {
+      const response = await apiClient.patch(`/api/v1/license-custom-fields/${id}/`, { value });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating license custom field', error);
+    }
+  });
+
+  server.registerTool('delete_license_custom_field', {
+    title: 'Delete License Custom Field',
+    description: 'Delete a license custom field value so the product default applies again',
+    inputSchema: {
+      id: z.number().min(1, 'License custom field ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      await apiClient.delete(`/api/v1/license-custom-fields/${id}/`);
+
+      return messageResult(`License custom field ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting license custom field', error);
+    }
+  });
+
+  server.registerTool('get_effective_license_custom_fields', {
+    title: 'Get Effective License Custom Fields',
+    description: 'Get the effective custom field values of a license, merging license values with product defaults',
+    inputSchema: {
+      license_id: z.number().min(1, 'License ID is required'),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ license_id }) => {
+    try {
+      const licenseResponse = await apiClient.get(`/api/v1/licenses/${license_id}/`);
+      const productId = getLicenseProductId(licenseResponse.data);
+
+      if (!productId) {
+        return errorResult(`Error getting effective license custom fields: license ${license_id} has no product`);
+      }
+
+      const [productFields, licenseFields] = await Promise.all([
+        apiClient.get(`/api/v1/product-custom-fields/?${new URLSearchParams({ product: productId.toString(), limit: '1000' })}`),
+        apiClient.get(`/api/v1/license-custom-fields/?${new URLSearchParams({ license: license_id.toString(), limit: '1000' })}`),
+      ]);
+
+      return jsonResult({
+        license_id,
+        product_id: productId,
+        custom_fields: mergeCustomFields(productFields.data, licenseFields.data),
+      });
+    } catch (error) {
+      return apiErrorResult('Error getting effective license custom fields', error);
+    }
+  });
+
+  // Customer Account Management Tools
+  server.registerTool('list_customer_accounts', {
+    title: 'List Customer Accounts',
+    description: 'List customer accounts',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(customerAccountSchema)),
+  }, async ({ limit, offset, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      const response = await apiClient.get(`/api/v1/customer-accounts/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing customer accounts', error);
+    }
+  });
+
+  server.registerTool('get_customer_account', {
+    title: 'Get Customer Account',
+    description: 'Get details of a specific customer account',
+    inputSchema: {
+      id: z.number().min(1, 'Customer account ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(customerAccountSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/customer-accounts/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting customer account', error);
+    }
+  });
+
+  server.registerTool('create_customer_account', {
+    title: 'Create Customer Account',
+    description: 'Create a new customer account',
+    inputSchema: {
+      name: z.string().min(1, 'Account name is required'),
+      code: z.string().min(1, 'Account code is required'),
+      description: z.string().optional(),
+      phone: z.string().optional(),
+      address: z.string().optional(),
+      email: z.string().email().optional(),
+    },
+    outputSchema: toolOutput(customerAccountSchema),
+  }, async (account) => {
+    try {
+      const response = await apiClient.post('/api/v1/customer-accounts/', account);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating customer account', error);
+    }
+  });
+
+  server.registerTool('update_customer_account', {
+    title: 'Update Customer Account',
+    description: 'Update an existing customer account',
+    inputSchema: {
+      id: z.number().min(1, 'Customer account ID is required'),
+      name: z.string().min(1).optional(),
+      code: z.string().min(1).optional(),
+      description: z.string().optional(),
+      phone: z.string().optional(),
+      address: z.string().optional(),
+      email: z.string().email().optional(),
+    },
+    outputSchema: toolOutput(customerAccountSchema),
+  }, async ({ id, ...fields }) => {
+    try {
+      const updateData: any = {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) updateData[key] = value;
+      }
+
+      const response = await apiClient.patch(`/api/v1/customer-accounts/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating customer account', error);
+    }
+  });
+
+  server.registerTool('delete_customer_account', {
+    title: 'Delete Customer Account',
+    description: 'Delete a customer account',
+    inputSchema: {
+      id: z.number().min(1, 'Customer account ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      await apiClient.delete(`/api/v1/customer-accounts/${id}/`);
+
+      return messageResult(`Customer account ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting customer account', error);
+    }
+  });
+
+  // Customer Label Management Tools
+  server.registerTool('list_customer_labels', {
+    title: 'List Customer Labels',
+    description: 'List customer labels used for segmentation',
+    inputSchema: {
+      limit: z.number().min(1).max(1000).optional().default(100),
+      offset: z.number().min(0).optional().default(0),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(listSchema(customerLabelSchema)),
+  }, async ({ limit, offset, fields, format }) => {
+    try {
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      const response = await apiClient.get(`/api/v1/clabels/?${queryParams}`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error listing customer labels', error);
+    }
+  });
+
+  server.registerTool('get_customer_label', {
+    title: 'Get Customer Label',
+    description: 'Get details of a specific customer label',
+    inputSchema: {
+      id: z.number().min(1, 'Customer label ID is required'),
+      ...formatInputSchema,
+    },
+    outputSchema: toolOutput(customerLabelSchema),
+  }, async ({ id, fields, format }) => {
+    try {
+      const response = await apiClient.get(`/api/v1/clabels/${id}/`);
+
+      return formattedResult(response.data, { fields, format });
+    } catch (error) {
+      return apiErrorResult('Error getting customer label', error);
+    }
+  });
+
+  server.registerTool('create_customer_label', {
+    title: 'Create Customer Label',
+    description: 'Create a new customer label',
+    inputSchema: {
+      label: z.string().min(1, 'Label name is required'),
+      color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color such as #1e90ff').optional(),
+    },
+    outputSchema: toolOutput(customerLabelSchema),
+  }, async ({ label, color }) => {
+    try {
+      const requestData: any = {
+        label,
+      };
+
+      if (color) requestData.color = color;
+
+      const response = await apiClient.post('/api/v1/clabels/', requestData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error creating customer label', error);
+    }
+  });
+
+  server.registerTool('update_customer_label', {
+    title: 'Update Customer Label',
+    description: 'Update an existing customer label',
+    inputSchema: {
+      id: z.number().min(1, 'Customer label ID is required'),
+      label: z.string().min(1).optional(),
+      color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color such as #1e90ff').optional(),
+    },
+    outputSchema: toolOutput(customerLabelSchema),
+  }, async ({ id, label, color }) => {
+    try {
+      const updateData: any = {};
+      if (label !== undefined) updateData.label = label;
+      if (color !== undefined) updateData.color = color;
+
+      const response = await apiClient.patch(`/api/v1/clabels/${id}/`, updateData);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error updating customer label', error);
+    }
+  });
+
+  server.registerTool('delete_customer_label', {
+    title: 'Delete Customer Label',
+    description: 'Delete a customer label',
+    inputSchema: {
+      id: z.number().min(1, 'Customer label ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      await apiClient.delete(`/api/v1/clabels/${id}/`);
+
+      return messageResult(`Customer label ${id} deleted successfully`);
+    } catch (error) {
+      return apiErrorResult('Error deleting customer label', error);
+    }
+  });
+
+  server.registerTool('add_label_to_customer', {
+    title: 'Add Label to Customer',
+    description: 'Attach a customer label to a customer',
+    inputSchema: {
+      customer: z.number().min(1, 'Customer ID is required'),
+      customer_label: z.number().min(1, 'Customer label ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ customer, customer_label }) => {
+    try {
+      const response = await apiClient.post('/api/v1/customerclabels/', {
+        customer,
+        customer_label,
+      });
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error adding label to customer', error);
+    }
+  });
+
+  server.registerTool('remove_label_from_customer', {
+    title: 'Remove Label from Customer',
+    description: 'Detach a customer label from a customer using the assignment ID returned by add_label_to_customer',
+    inputSchema: {
+      id: z.number().min(1, 'Customer label assignment ID is required'),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ id }) => {
+    try {
+      await apiClient.delete(`/api/v1/customerclabels/${id}/`);
+
+      return messageResult(`Customer label assignment ${id} removed successfully`);
+    } catch (error) {
+      return apiErrorResult('Error removing label from customer', error);
+    }
+  });
+
+  // Import Tracking Tools
+  server.registerTool('get_import_results', {
+    title: 'Get Import Results',
+    description: 'Get a CSV import result by ID with a summary of failed rows, or list import results for licenses, customers or license features',
+    inputSchema: {
+      kind: z.enum(['licenses', 'customers', 'license_features']),
+      id: z.number().min(1).optional(),
+      status: z.enum(['pending', 'running', 'error', 'success']).optional(),
+      limit: z.number().min(1).max(1000).optional().default(30),
+      offset: z.number().min(0).optional().default(0),
+    },
+    outputSchema: toolOutput(),
+  }, async ({ kind, id, status, limit, offset }) => {
+    try {
+      if (id) {
+        const response = await apiClient.get(`${IMPORT_RESULTS_PATHS[kind]}${id}/`);
+
+        return jsonResult({
+          summary: summarizeImportResult(response.data),
+          result: response.data,
+        });
+      }
+
+      const queryParams = new URLSearchParams({
+        limit: limit.toString(),
+        offset: offset.toString(),
+      });
+
+      if (status) queryParams.append('status_iexact', status);
+
+      const response = await apiClient.get(`${IMPORT_RESULTS_PATHS[kind]}?${queryParams}`);
+
+      return jsonResult(response.data);
+    } catch (error) {
+      return apiErrorResult('Error getting import results', error);
+    }
+  });
+
+  // Cache Tools
+  server.registerTool('manage_management_api_cache', {
+    title: 'Manage Management API Cache',
+    description: 'Inspect or flush the response cache for read-only Management API lookups (products, customers). Entries are invalidated automatically when a related record is modified',
+    inputSchema: {
+      action: z.enum(['inspect', 'flush']).default('inspect').describe('inspect returns cache statistics and entries; flush removes entries'),
+      tag: z.string().optional().describe('Only flush entries with this tag (products, customers); all entries are flushed when omitted'),
+    },
+    outputSchema: toolOutput(z.record(z.unknown())),
+  }, async ({ action, tag }) => {
+    try {
+      const result = action === 'flush'
+        ? { flushed: apiClient.cache.flush(tag), tag: tag ?? 'all' }
+        : apiClient.cache.stats();
+
+      return jsonResult(result);
+    } catch (error) {
+      return apiErrorResult('Error managing cache', error);
+    }
+  });
+}
@@ -92,12 +92,17 @@ export interface VersionsRequest {
   license_key: string;
   hardware_id: string;
   product: string;
+  env?: string;
+  channel?: string;
 }
 
 export interface InstallationFileRequest {
   license_key: string;
   hardware_id: string;
   product: string;
+  env?: string;
+  channel?: string;
+  version?: string;
 }
 
 export interface DeactivateLicenseRequest {
@@ -152,11 +157,35 @@ export interface UpdateLicenseRequest {
   validity_period?: number;
 }
 
+export interface ListLicenseActivationHistoryRequest {
+  limit?: number;
+  offset?: number;
+  order_by?: string;
+  license?: number;
+  device?: number;
+}
+
+export interface GetLicenseHistoryRequest {
+  license_id: number;
+  limit?: number;
+  offset?: number;
+  include_raw?: boolean;
+}
+
+export interface ExportLicenseHistoryRequest {
+  range?: 'last30' | 'last60' | 'last80' | 'last365';
+  from?: string;
+  to?: string;
+}
+
 export interface ListCustomersRequest {
   limit?: number;
   offset?: number;
   email?: string;
   company_name?: string;
+  label_ids?: number[];
+  account?: number;
+  account_code?: string;
 }
 
 export interface CreateCustomerRequest {
@@ -176,8 +205,24 @@ export interface UpdateCustomerRequest {
   company_name?: string;
   phone?: string;
   reference?: string;
+  address?: string;
+  postcode?: string;
+  city?: string;
+  country?: string;
+  state?: string;
+  customer_account?: number;
+}
+
+export interface MergeCustomersRequest {
+  id: number;
+  customer_to_merge_id: number;
 }
 
+export interface ImportCustomersFromCsvRequest extends WaitForImportOptions {
+  csv_file: string; // Base64 encoded CSV content or file path
+}
+
+
 // License User Management Types
 export interface ListLicenseUsersRequest {
   limit?: number;
@@ -198,6 +243,28 @@ export interface AssignUserToLicenseRequest {
   total_activations?: number;
 }
 
+export interface AssignUsersToLicenseRequest {
+  license_id: number;
+  users: Array<{
+    email: string;
+    is_manager?: boolean;
+  }>;
+}
+
+export interface UpdateLicenseUserRequest {
+  id: number;
+  email?: string;
+  first_name?: string;
+  last_name?: string;
+  phone_number?: string;
+}
+
+export interface SetLicenseUserPasswordRequest {
+  license_user_id?: number;
+  email?: string;
+  password: string;
+}
+
 export interface UnassignUserFromLicenseRequest {
   license_id: number;
   license_user_id: number;
@@ -227,16 +294,32 @@ export interface BulkDisableLicensesRequest {
   license_ids: number[];
 }
 
-export interface ImportLicensesFromCsvRequest {
+export interface WaitForImportOptions {
+  wait_for_completion?: boolean;
+  poll_interval_seconds?: number;
+  timeout_seconds?: number;
+}
+
+export interface ImportLicensesFromCsvRequest extends WaitForImportOptions {
   csv_file: string; // Base64 encoded CSV content or file path
   product_id?: number;
   customer_id?: number;
 }
 
+export interface GetImportResultsRequest {
+  kind: 'licenses' | 'customers' | 'license_features';
+  id?: number;
+  status?: 'pending' | 'running' | 'error' | 'success';
+  limit?: number;
+  offset?: number;
+}
+
 export interface ListProductsRequest {
   limit?: number;
   offset?: number;
-  name?: string;
+  order_by?: string;
+  short_code?: string;
+  is_archived?: boolean;
 }
 
 export interface CreateProductRequest {
@@ -251,6 +334,452 @@ export interface UpdateProductRequest {
   description?: string;
 }
 
+// Order Management Types
+export interface ListOrdersRequest {
+  limit?: number;
+  offset?: number;
+  order_by?: string;
+  is_archived?: boolean;
+  short_code?: string;
+}
+
+export interface OrderCustomer {
+  email: string;
+  first_name?: string;
+  last_name?: string;
+  company_name?: string;
+  phone?: string;
+  reference?: string;
+}
+
+export interface OrderLicense {
+  key?: string;
+  users?: Array<{
+    email: string;
+    is_manager?: boolean;
+  }>;
+  max_activations?: number;
+  license_type?: 'perpetual' | 'time-limited' | 'consumption' | 'subscription';
+  max_consumptions?: number;
+  valid_duration?: string;
+  enable_maintenance_period?: boolean;
+  maintenance_duration?: string;
+  validity_period?: string;
+  product_features?: Array<{
+    code: string;
+    max_consumption?: number;
+  }>;
+  custom_fields?: Array<{
+    name: string;
+    value: string | number;
+  }>;
+  is_trial?: boolean;
+}
+
+export interface CreateOrderRequest {
+  id: string;
+  append?: boolean;
+  is_test?: boolean;
+  created?: string;
+  order_type?: string;
+  reference?: string;
+  language?: string;
+  campaign_params?: string;
+  download_id?: string;
+  customer?: OrderCustomer;
+  items: Array<{
+    product_code: string;
+    licenses: OrderLicense[];
+  }>;
+  prevent_vm?: boolean;
+}
+
+export interface UpdateOrderRequest {
+  id: number;
+  store_id?: string;
+  reference?: string;
+  is_archived?: boolean;
+  is_test?: boolean;
+}
+
+export interface ExportOrdersRequest {
+  range?: 'last30' | 'last60' | 'last80' | 'last365';
+  from?: string;
+  to?: string;
+}
+
+export interface AddOrderManagerRequest {
+  order_id: number;
+  email: string;
+  password?: string;
+}
+
+export interface RemoveOrderManagerRequest {
+  order_id: number;
+  license_user_id: number;
+}
+
+// Device Management Types
+export interface ListDevicesRequest {
+  limit?: number;
+  offset?: number;
+  order_by?: string;
+  license?: number;
+  hardware_id?: string;
+  hostname?: string;
+  blacklisted?: boolean;
+}
+
+export interface BorrowDeviceRequest {
+  id: number;
+  borrowed_until: string;
+}
+
+export interface ListDeviceVariablesRequest {
+  limit?: number;
+  offset?: number;
+  device?: number;
+  license?: number;
+  variable?: string;
+}
+
+export interface UpdateDeviceVariableRequest {
+  id: number;
+  variable?: string;
+  value?: string;
+}
+
+// Analytics Types
+export interface ListActivitiesRequest {
+  limit?: number;
+  offset?: number;
+  order_by?: string;
+  from?: string;
+  to?: string;
+  product?: number;
+  license?: number;
+  customer?: number;
+  action?: string;
+}
+
+export type UsageAnalyticsMetric =
+  | 'hourly'
+  | 'actions_stats'
+  | 'total_call_count'
+  | 'top_call_count_customers'
+  | 'top_call_count_licenses'
+  | 'top_call_count_orders';
+
+export interface UsageAnalyticsRequest {
+  metric: UsageAnalyticsMetric;
+  from?: string;
+  to?: string;
+  product?: number;
+  limit?: number;
+}
+
+// Installation File Types
+export interface ListInstallationFilesRequest {
+  limit?: number;
+  offset?: number;
+  product?: number;
+}
+
+export interface CreateInstallationFileRequest {
+  product: number;
+  environment: string;
+  version: string;
+  channel?: string;
+  full_link?: string;
+  hash_md5?: string;
+  release_date?: string;
+  release_notes_link?: string;
+  eula_link?: string;
+  size?: string;
+  requires_version?: string;
+}
+
+// Product Feature Types
+export interface ListProductFeaturesRequest {
+  limit?: number;
+  offset?: number;
+  product?: number;
+}
+
+export interface CreateProductFeatureRequest {
+  product: number;
+  name: string;
+  code: string;
+  feature_type: 'activation' | 'consumption';
+  max_consumption?: number;
+  allow_overages?: boolean;
+  max_overages?: number;
+  reset_consumption?: boolean;
+  consumption_period?: 'daily' | 'weekly' | 'monthly' | 'annually';
+}
+
+export interface UpdateProductFeatureRequest extends Partial<Omit<CreateProductFeatureRequest, 'product'>> {
+  id: number;
+}
+
+export interface UpdateLicenseFeaturesRequest {
+  license_id: number;
+  product_features: Array<{
+    product_feature: number;
+    max_consumption?: number;
+    total_consumptions?: number;
+  }>;
+}
+
+export interface ImportLicenseFeaturesFromCsvRequest extends WaitForImportOptions {
+  csv_file: string; // Base64 encoded CSV content or file path
+}
+
+// Custom Field Types
+export interface CreateProductCustomFieldRequest {
+  product: number;
+  name: string;
+  data_type: 'number' | 'text' | 'date/time';
+  default_value?: string;
+  description?: string;
+}
+
+export interface UpdateProductCustomFieldRequest extends Partial<Omit<CreateProductCustomFieldRequest, 'product'>> {
+  id: number;
+}
+
+export interface CreateLicenseCustomFieldRequest {
+  license: number;
+  product_custom_field: number;
+  value: string;
+}
+
+export interface UpdateLicenseCustomFieldRequest {
+  id: number;
+  value: string;
+}
+
+// Customer Account and Label Types
+export interface CreateCustomerAccountRequest {
+  name: string;
+  code: string;
+  description?: string;
+  phone?: string;
+  address?: string;
+  email?: string;
+}
+
+export interface UpdateCustomerAccountRequest extends Partial<CreateCustomerAccountRequest> {
+  id: number;
+}
+
+export interface CreateCustomerLabelRequest {
+  label: string;
+  color?: string;
+}
+
+export interface UpdateCustomerLabelRequest extends Partial<CreateCustomerLabelRequest> {
+  id: number;
+}
+
+export interface AddLabelToCustomerRequest {
+  customer: number;
+  customer_label: number;
+}
+
+// License API Response Types
+export interface LicenseFeature {
+  code?: string | null;
+  name?: string | null;
+  feature_type?: string | null;
+  expiry_date?: string | null;
+  max_consumption?: number | null;
+  total_consumptions?: number | null;
+  allow_overages?: boolean | null;
+  max_overages?: number | null;
+  is_floating?: boolean | null;
+  floating_users?: number | null;
+}
+
+export interface LicenseCustomFieldValue {
+  name?: string | null;
+  data_type?: string | null;
+  value?: string | number | boolean | null;
+}
+
+export interface ProductDetails {
+  product_id?: number | null;
+  product_name?: string | null;
+  short_code?: string | null;
+  allow_trial?: boolean | null;
+  trial_days?: number | null;
+  authorization_method?: string | null;
+  metadata?: Record<string, unknown> | null;
+}
+
+export interface CheckLicenseResponse {
+  id?: number | null;
+  license_key?: string | null;
+  license_active?: boolean | null;
+  license_enabled?: boolean | null;
+  license_type?: string | null;
+  is_trial?: boolean | null;
+  is_expired?: boolean | null;
+  validity_period?: string | null;
+  max_activations?: number | null;
+  times_activated?: number | null;
+  transfer_count?: number | null;
+  max_consumptions?: number | null;
+  total_consumptions?: number | null;
+  allow_overages?: boolean | null;
+  max_overages?: number | null;
+  is_floating?: boolean | null;
+  is_floating_cloud?: boolean | null;
+  floating_users?: number | null;
+  floating_timeout?: number | null;
+  product_features?: LicenseFeature[] | null;
+  custom_fields?: LicenseCustomFieldValue[] | null;
+  customer?: Customer | null;
+  product_details?: ProductDetails | null;
+}
+
+export interface TrialKeyResponse {
+  license_key?: string | null;
+  license_user?: string | null;
+  is_trial?: boolean | null;
+  validity_period?: string | null;
+}
+
+export interface SoftwareVersion {
+  version?: string | null;
+  release_date?: string | null;
+}
+
+export interface SsoUrlResponse {
+  url?: string | null;
+}
+
+// Management API Response Types
+export interface License {
+  id?: number | null;
+  license_key?: string | null;
+  enabled?: boolean | null;
+  active?: boolean | null;
+  license_type?: string | null;
+  is_trial?: boolean | null;
+  validity_period?: string | null;
+  max_activations?: number | null;
+  times_activated?: number | null;
+  transfer_count?: number | null;
+  max_consumptions?: number | null;
+  total_consumptions?: number | null;
+  note?: string | null;
+  created_at?: string | null;
+  updated_at?: string | null;
+}
+
+export interface Customer {
+  id?: number | null;
+  email?: string | null;
+  first_name?: string | null;
+  last_name?: string | null;
+  company_name?: string | null;
+  phone?: string | null;
+  reference?: string | null;
+  created_at?: string | null;
+}
+
+export interface Product {
+  id?: number | null;
+  product_name?: string | null;
+  short_code?: string | null;
+  active?: boolean | null;
+  is_archived?: boolean | null;
+  allow_trial?: boolean | null;
+  trial_days?: number | null;
+  created_at?: string | null;
+}
+
+export interface Device {
+  id?: number | null;
+  hardware_id?: string | null;
+  device_name?: string | null;
+  os?: string | null;
+  time_activated?: string | null;
+  last_check?: string | null;
+  blacklisted?: boolean | null;
+}
+
+export interface DeviceVariable {
+  id?: number | null;
+  variable?: string | null;
+  value?: string | number | boolean | null;
+  created_at?: string | null;
+}
+
+export interface Order {
+  id?: number | null;
+  store_id?: string | null;
+  reference?: string | null;
+  is_test?: boolean | null;
+  is_archived?: boolean | null;
+  created_at?: string | null;
+}
+
+export interface LicenseUser {
+  id?: number | null;
+  email?: string | null;
+  first_name?: string | null;
+  last_name?: string | null;
+  phone_number?: string | null;
+  is_active?: boolean | null;
+}
+
+export interface ProductFeature {
+  id?: number | null;
+  name?: string | null;
+  code?: string | null;
+  feature_type?: string | null;
+  max_consumption?: number | null;
+}
+
+export interface CustomField {
+  id?: number | null;
+  name?: string | null;
+  value?: string | number | boolean | null;
+  default_value?: string | number | boolean | null;
+}
+
+export interface CustomerAccount {
+  id?: number | null;
+  name?: string | null;
+  code?: string | null;
+  description?: string | null;
+}
+
+export interface CustomerLabel {
+  id?: number | null;
+  label?: string | null;
+  color?: string | null;
+}
+
+export interface InstallationFile {
+  id?: number | null;
+  version?: string | null;
+  environment?: string | null;
+  channel?: string | null;
+  hash_md5?: string | null;
+  full_link?: string | null;
+  release_date?: string | null;
+}
+
+export interface LicenseActivationHistoryEntry {
+  id?: number | null;
+  hardware_id?: string | null;
+  action?: string | null;
+  created_at?: string | null;
+}
+
 // Common response types
 export interface ApiResponse<T = any> {
   success: boolean;
@@ -0,0 +1,269 @@
+// Zod schemas for LicenseSpring responses, used as tool output schemas
+// Every field is optional and unknown fields are kept, so schemas describe responses without rejecting new API fields
+
+import { z } from 'zod';
+import {
+  CheckLicenseResponse,
+  Customer,
+  CustomerAccount,
+  CustomerLabel,
+  CustomField,
+  Device,
+  DeviceVariable,
+  InstallationFile,
+  License,
+  LicenseActivationHistoryEntry,
+  LicenseCustomFieldValue,
+  LicenseFeature,
+  LicenseUser,
+  Order,
+  Product,
+  ProductDetails,
+  ProductFeature,
+  SoftwareVersion,
+  SsoUrlResponse,
+  TrialKeyResponse
+} from './index.js';
+
+const id = z.number().nullish();
+const text = z.string().nullish();
+const flag = z.boolean().nullish();
+// Custom field and variable values keep the type of their data_type, e.g. a number or a boolean
+const fieldValue = z.union([z.string(), z.number(), z.boolean()]).nullish();
+const count = z.number().nullish();
+
+// License API response schemas
+export const licenseFeatureSchema: z.ZodType<LicenseFeature> = z.object({
+  code: text,
+  name: text,
+  feature_type: text,
+  expiry_date: text,
+  max_consumption: count,
+  total_consumptions: count,
+  allow_overages: flag,
+  max_overages: count,
+  is_floating: flag,
+  floating_users: count,
+}).passthrough();
+
+export const licenseCustomFieldValueSchema: z.ZodType<LicenseCustomFieldValue> = z.object({
+  name: text,
+  data_type: text,
+  value: fieldValue,
+}).passthrough();
+
+export const productDetailsSchema: z.ZodType<ProductDetails> = z.object({
+  product_id: id,
+  product_name: text,
+  short_code: text,
+  allow_trial: flag,
+  trial_days: count,
+  authorization_method: text,
+  metadata: z.record(z.unknown()).nullish(),
+}).passthrough();
+
+export const customerSchema: z.ZodType<Customer> = z.object({
+  id,
+  email: text,
+  first_name: text,
+  last_name: text,
+  company_name: text,
+  phone: text,
+  reference: text,
+  created_at: text,
+}).passthrough();
+
+export const checkLicenseResponseSchema: z.ZodType<CheckLicenseResponse> = z.object({
+  id,
+  license_key: text,
+  license_active: flag,
+  license_enabled: flag,
+  license_type: text,
+  is_trial: flag,
+  is_expired: flag,
+  validity_period: text,
+  max_activations: count,
+  times_activated: count,
+  transfer_count: count,
+  max_consumptions: count,
+  total_consumptions: count,
+  allow_overages: flag,
+  max_overages: count,
+  is_floating: flag,
+  is_floating_cloud: flag,
+  floating_users: count,
+  floating_timeout: count,
+  product_features: z.array(licenseFeatureSchema).nullish(),
+  custom_fields: z.array(licenseCustomFieldValueSchema).nullish(),
+  customer: customerSchema.nullish(),
+  product_details: productDetailsSchema.nullish(),
+}).passthrough();
+
+export const trialKeyResponseSchema: z.ZodType<TrialKeyResponse> = z.object({
+  license_key: text,
+  license_user: text,
+  is_trial: flag,
+  validity_period: text,
+}).passthrough();
+
+export const softwareVersionSchema: z.ZodType<SoftwareVersion> = z.object({
+  version: text,
+  release_date: text,
+}).passthrough();
+
+// The versions endpoint returns plain version strings or version records
+export const softwareVersionItemSchema = z.union([z.string(), softwareVersionSchema]);
+
+export const ssoUrlResponseSchema: z.ZodType<SsoUrlResponse> = z.object({
+  url: text,
+}).passthrough();
+
+// Management API response schemas
+export const licenseSchema: z.ZodType<License> = z.object({
+  id,
+  license_key: text,
+  enabled: flag,
+  active: flag,
+  license_type: text,
+  is_trial: flag,
+  validity_period: text,
+  max_activations: count,
+  times_activated: count,
+  transfer_count: count,
+  max_consumptions: count,
+  total_consumptions: count,
+  note: text,
+  created_at: text,
+  updated_at: text,
+}).passthrough();
+
+export const productSchema: z.ZodType<Product> = z.object({
+  id,
+  product_name: text,
+  short_code: text,
+  active: flag,
+  is_archived: flag,
+  allow_trial: flag,
+  trial_days: count,
+  created_at: text,
+}).passthrough();
+
+export const deviceSchema: z.ZodType<Device> = z.object({
+  id,
+  hardware_id: text,
+  device_name: text,
+  os: text,
+  time_activated: text,
+  last_check: text,
+  blacklisted: flag,
+}).passthrough();
+
+export const deviceVariableSchema: z.ZodType<DeviceVariable> = z.object({
+  id,
+  variable: text,
+  value: fieldValue,
+  created_at: text,
+}).passthrough();
+
+export const orderSchema: z.ZodType<Order> = z.object({
+  id,
+  store_id: text,
+  reference: text,
+  is_test: flag,
+  is_archived: flag,
+  created_at: text,
+}).passthrough();
+
+export const licenseUserSchema: z.ZodType<LicenseUser> = z.object({
+  id,
+  email: text,
+  first_name: text,
+  last_name: text,
+  phone_number: text,
+  is_active: flag,
+}).passthrough();
+
+export const productFeatureSchema: z.ZodType<ProductFeature> = z.object({
+  id,
+  name: text,
+  code: text,
+  feature_type: text,
+  max_consumption: count,
+}).passthrough();
+
+export const customFieldSchema: z.ZodType<CustomField> = z.object({
+  id,
+  name: text,
+  value: fieldValue,
+  default_value: fieldValue,
+}).passthrough();
+
+export const customerAccountSchema: z.ZodType<CustomerAccount> = z.object({
+  id,
+  name: text,
+  code: text,
+  description: text,
+}).passthrough();
+
+export const customerLabelSchema: z.ZodType<CustomerLabel> = z.object({
+  id,
+  label: text,
+  color: text,
+}).passthrough();
+
+export const installationFileSchema: z.ZodType<InstallationFile> = z.object({
+  id,
+  version: text,
+  environment: text,
+  channel: text,
+  hash_md5: text,
+  full_link: text,
+  release_date: text,
+}).passthrough();
+
+export const licenseActivationHistoryEntrySchema: z.ZodType<LicenseActivationHistoryEntry> = z.object({
+  id,
+  hardware_id: text,
+  action: text,
+  created_at: text,
+}).passthrough();
+
+/**
+ * Result of a tool called with dry_run: the current and resulting state of every affected record
+ */
+export const dryRunPreviewSchema = z.object({
+  dry_run: z.literal(true),
+  tool: z.string(),
+  changes: z.array(z.object({
+    id: z.number(),
+    before: z.record(z.unknown()).nullable(),
+    after: z.record(z.unknown()).nullable(),
+    diff: z.array(z.object({
+      field: z.string(),
+      before: z.unknown(),
+      after: z.unknown(),
+    }).passthrough()),
+    error: z.string().optional(),
+  }).passthrough()),
+  confirmation_token: z.string(),
+  expires_at: z.string(),
+  message: z.string(),
+}).passthrough();
+
+/**
+ * A list response: a plain array, a LicenseSpring page ({ count, next, previous, results })
+ * or several pages collected with fetch_all / max_items ({ count, returned, results, next_cursor })
+ */
+export function listSchema<T>(item: z.ZodType<T>) {
+  return z.union([
+    z.array(item),
+    z.object({
+      count: count,
+      next: text,
+      previous: text,
+      returned: count,
+      next_cursor: text,
+      results: z.array(item).nullish(),
+    }).passthrough(),
+  ]);
+}
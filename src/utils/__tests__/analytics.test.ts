@@ -0,0 +1,55 @@
+import { summarizeAnalytics } from '../analytics';
+
+describe('Analytics Utils', () => {
+  describe('summarizeAnalytics', () => {
+    it('should count records and group activities by action', () => {
+      const summary = summarizeAnalytics({
+        count: 3,
+        results: [
+          { id: 1, action: 'activate_license' },
+          { id: 2, action: 'check_license' },
+          { id: 3, action: 'check_license' },
+        ],
+      });
+
+      expect(summary.records).toBe(3);
+      expect(summary.by_action).toEqual({ activate_license: 1, check_license: 2 });
+      expect(summary.totals).toEqual({});
+    });
+
+    it('should sum numeric fields and rank top entries by call count', () => {
+      const summary = summarizeAnalytics([
+        { customer: 10, email: 'a@example.com', call_count: 5 },
+        { customer: 11, email: 'b@example.com', call_count: 20 },
+        { customer: 12, email: 'c@example.com', call_count: 1 },
+      ], 2);
+
+      expect(summary.records).toBe(3);
+      expect(summary.totals).toEqual({ call_count: 26 });
+      expect(summary.top).toEqual([
+        { customer: 11, email: 'b@example.com', call_count: 20 },
+        { customer: 10, email: 'a@example.com', call_count: 5 },
+      ]);
+    });
+
+    it('should weight action counts by call count when present', () => {
+      const summary = summarizeAnalytics([
+        { action: 'check_license', call_count: 40 },
+        { action: 'activate_license', call_count: 2 },
+      ]);
+
+      expect(summary.by_action).toEqual({ check_license: 40, activate_license: 2 });
+    });
+
+    it('should report numeric fields of single-object responses as totals', () => {
+      const summary = summarizeAnalytics({ total_call_count: 1234 });
+
+      expect(summary.records).toBe(0);
+      expect(summary.totals).toEqual({ total_call_count: 1234 });
+    });
+
+    it('should handle empty responses', () => {
+      expect(summarizeAnalytics(undefined)).toEqual({ records: 0, totals: {} });
+    });
+  });
+});
@@ -0,0 +1,263 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios, { AxiosError } from 'axios';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  AuditEntry,
+  AuditLog,
+  AuditLogOptions,
+  DEFAULT_AUDIT_LOG_OPTIONS,
+  attachAuditInterceptor,
+  extractTargets,
+  parseAuditLogOptions,
+  withAuditLog
+} from '../audit';
+import { DEFAULT_RETRY_OPTIONS, attachRetryInterceptor } from '../retry';
+
+describe('Audit Utils', () => {
+  let directory: string;
+  let options: AuditLogOptions;
+
+  const entry = (overrides: Partial<AuditEntry> = {}): AuditEntry => ({
+    timestamp: '2025-01-01T10:00:00.000Z',
+    call_id: 'call-1',
+    tool: 'update_license',
+    api: 'management',
+    method: 'PATCH',
+    path: '/api/v1/licenses/7/',
+    status: 200,
+    retries: 0,
+    args: { id: 7, note: 'new' },
+    targets: { licenses: [7], id: [7] },
+    session_id: null,
+    client: { name: 'test-client', version: '1.0.0' },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    options = { ...DEFAULT_AUDIT_LOG_OPTIONS, enabled: true, file: path.join(directory, 'audit.jsonl') };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('parseAuditLogOptions', () => {
+    it('should leave the audit log disabled unless it is enabled explicitly', () => {
+      expect(parseAuditLogOptions({})).toEqual(DEFAULT_AUDIT_LOG_OPTIONS);
+      expect(DEFAULT_AUDIT_LOG_OPTIONS).toMatchObject({ enabled: false, file: path.join(os.homedir(), '.licensespring-mcp', 'audit.jsonl') });
+      expect(parseAuditLogOptions({ AUDIT_LOG_ENABLED: '1' }).enabled).toBe(false);
+      expect(parseAuditLogOptions({ AUDIT_LOG_ENABLED: 'true' }).enabled).toBe(true);
+    });
+
+    it('should read the environment variables', () => {
+      expect(parseAuditLogOptions({
+        AUDIT_LOG_ENABLED: 'false',
+        AUDIT_LOG_FILE: '/var/log/licensespring/audit.jsonl',
+        AUDIT_LOG_ROTATE: 'daily',
+        AUDIT_LOG_MAX_BYTES: '1024',
+        AUDIT_LOG_MAX_FILES: '30',
+      })).toEqual({ enabled: false, file: '/var/log/licensespring/audit.jsonl', rotate: 'daily', maxBytes: 1024, maxFiles: 30 });
+    });
+
+    it('should expand ~ to the home directory', () => {
+      expect(parseAuditLogOptions({ AUDIT_LOG_FILE: '~/logs/audit.jsonl' }).file).toBe(path.join(os.homedir(), 'logs', 'audit.jsonl'));
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => parseAuditLogOptions({ AUDIT_LOG_ROTATE: 'weekly' })).toThrow('Invalid AUDIT_LOG_ROTATE "weekly"');
+      expect(() => parseAuditLogOptions({ AUDIT_LOG_MAX_BYTES: '0' })).toThrow('Invalid AUDIT_LOG_MAX_BYTES "0"');
+      expect(() => parseAuditLogOptions({ AUDIT_LOG_MAX_FILES: '-1' })).toThrow('Invalid AUDIT_LOG_MAX_FILES "-1"');
+    });
+  });
+
+  describe('extractTargets', () => {
+    it('should collect ids from the path and the tool arguments', () => {
+      expect(extractTargets('/api/v1/licenses/7/assign_user/', { id: 7, customer_id: 3, license_key: 'AAAA', note: 'x' })).toEqual({
+        licenses: [7],
+        id: [7],
+        customer_id: [3],
+        license_key: ['AAAA'],
+      });
+    });
+
+    it('should collect the ids of bulk operations', () => {
+      expect(extractTargets('/api/v1/licenses/disable_bulk/', { license_ids: [1, 2] })).toEqual({ license_ids: [1, 2] });
+      expect(extractTargets('/api/v1/licenses/bulk_update/', { licenses: [{ id: 1, enabled: false }, { id: 2 }] }))
+        .toEqual({ 'licenses.id': [1, 2] });
+    });
+  });
+
+  describe('AuditLog', () => {
+    it('should append JSONL entries and query them newest first', () => {
+      const log = new AuditLog(options);
+      log.append(entry());
+      log.append(entry({ timestamp: '2025-01-02T10:00:00.000Z', tool: 'delete_customer', method: 'DELETE', path: '/api/v1/customers/3/', targets: { customers: [3] } }));
+      log.append(entry({ timestamp: '2025-01-03T10:00:00.000Z', tool: 'delete_license', method: 'DELETE', status: 404, targets: { licenses: [9] } }));
+
+      expect(fs.readFileSync(options.file, 'utf8').trim().split('\n')).toHaveLength(3);
+      expect(log.query().entries.map((item) => item.tool)).toEqual(['delete_license', 'delete_customer', 'update_license']);
+      expect(log.query({ tool: 'delete_*', limit: 1 })).toMatchObject({ count: 2, returned: 1, entries: [{ tool: 'delete_license' }] });
+      expect(log.query({ since: '2025-01-02', until: '2025-01-03' }).entries.map((item) => item.tool)).toEqual(['delete_customer']);
+      expect(log.query({ target: '3' }).entries.map((item) => item.tool)).toEqual(['delete_customer']);
+      expect(log.query({ errors_only: true }).entries.map((item) => item.tool)).toEqual(['delete_license']);
+      expect(log.query({ method: 'patch' }).count).toBe(1);
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => new AuditLog(options).query({ since: 'last week' })).toThrow('Invalid since "last week"');
+    });
+
+    it('should not write anything when disabled', () => {
+      new AuditLog({ ...options, enabled: false }).append(entry());
+
+      expect(fs.existsSync(options.file)).toBe(false);
+    });
+
+    it('should rotate by size and keep maxFiles rotated files', () => {
+      let now = Date.parse('2025-01-01T10:00:00Z');
+      const log = new AuditLog({ ...options, maxBytes: 600, maxFiles: 2 }, () => now);
+
+      for (let i = 0; i < 5; i++) {
+        log.append(entry({ call_id: `call-${i}`, timestamp: new Date(now).toISOString() }));
+        now += 1000;
+      }
+
+      const files = fs.readdirSync(directory).sort();
+      expect(files).toEqual(['audit.jsonl', 'audit.jsonl.2025-01-01T100003000Z', 'audit.jsonl.2025-01-01T100004000Z']);
+      expect(log.query().entries.map((item) => item.call_id)).toEqual(['call-4', 'call-3', 'call-2']);
+    });
+
+    it('should rotate daily', () => {
+      const now = Date.parse('2025-01-02T10:00:00Z');
+      const log = new AuditLog({ ...options, rotate: 'daily' }, () => now);
+      fs.writeFileSync(options.file, `${JSON.stringify(entry())}\n`);
+      fs.utimesSync(options.file, new Date('2025-01-01T10:00:00Z'), new Date('2025-01-01T10:00:00Z'));
+
+      log.append(entry({ timestamp: '2025-01-02T10:00:00.000Z', call_id: 'call-2' }));
+
+      expect(fs.readdirSync(directory).sort()).toEqual(['audit.jsonl', 'audit.jsonl.2025-01-01']);
+      expect(log.query().count).toBe(2);
+    });
+  });
+
+  describe('withAuditLog and attachAuditInterceptor', () => {
+    it('should record the non-GET requests made by a tool call', async () => {
+      const log = new AuditLog(options);
+      const http = axios.create({
+        adapter: async (config) => {
+          if (config.method === 'patch' && config.url?.includes('/99/')) {
+            const response = { data: { detail: 'Not found.' }, status: 404, statusText: 'Not Found', headers: {}, config };
+            throw new AxiosError('Request failed with status code 404', 'ERR_BAD_REQUEST', config, null, response);
+          }
+          return { data: { id: 7 }, status: 200, statusText: 'OK', headers: {}, config };
+        },
+      });
+      attachAuditInterceptor(http, 'management');
+
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      withAuditLog(server, log).registerTool('update_license', {
+        inputSchema: { id: z.number(), password: z.string().optional() },
+      }, async ({ id }) => {
+        await http.get(`/api/v1/licenses/${id}/`);
+        await http.patch(`/api/v1/licenses/${id}/`, {}).catch(() => undefined);
+        return { content: [] };
+      });
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+
+      await client.callTool({ name: 'update_license', arguments: { id: 7, password: 'secret' } });
+      await client.callTool({ name: 'update_license', arguments: { id: 99 } });
+      await http.post('/api/v1/licenses/', {});
+      await client.close();
+
+      const { entries } = log.query();
+      expect(entries).toHaveLength(2);
+      expect(entries[1]).toMatchObject({
+        tool: 'update_license',
+        api: 'management',
+        method: 'PATCH',
+        path: '/api/v1/licenses/7/',
+        status: 200,
+        args: { id: 7, password: '[REDACTED]' },
+        targets: { licenses: [7], id: [7] },
+        client: { name: 'test-client', version: '1.0.0' },
+      });
+      expect(entries[0]).toMatchObject({ path: '/api/v1/licenses/99/', status: 404, error: 'Not found.' });
+      expect(entries[0].call_id).not.toBe(entries[1].call_id);
+    });
+
+    it('should not write secrets, keys or confirmation tokens to the log', async () => {
+      const log = new AuditLog(options);
+      const http = axios.create({ adapter: async (config) => ({ data: {}, status: 204, statusText: 'No Content', headers: {}, config }) });
+      attachAuditInterceptor(http, 'management');
+
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      withAuditLog(server, log).registerTool('delete_license', {
+        inputSchema: { id: z.number(), confirmation_token: z.string(), settings: z.record(z.string()) },
+      }, async ({ id }) => {
+        await http.delete(`/api/v1/licenses/${id}/`);
+        return { content: [] };
+      });
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+      await client.callTool({
+        name: 'delete_license',
+        arguments: { id: 7, confirmation_token: 'token-1234', settings: { api_key: 'key-1234', shared_key: 'shared-1234', client_secret: 'secret-1234' } },
+      });
+      await client.close();
+
+      const contents = fs.readFileSync(options.file, 'utf8');
+      expect(contents).not.toMatch(/token-1234|key-1234|shared-1234|secret-1234/);
+      expect(log.query().entries[0].args).toEqual({
+        id: 7,
+        confirmation_token: '[REDACTED]',
+        settings: { api_key: '[REDACTED]', shared_key: '[REDACTED]', client_secret: '[REDACTED]' },
+      });
+    });
+
+    it('should record a retried request once with its final status', async () => {
+      const log = new AuditLog(options);
+      let attempts = 0;
+      const http = axios.create({
+        adapter: async (config) => {
+          if (++attempts === 1) {
+            const response = { data: {}, status: 503, statusText: 'Service Unavailable', headers: {}, config };
+            throw new AxiosError('Request failed with status code 503', 'ERR_BAD_RESPONSE', config, null, response);
+          }
+          return { data: {}, status: 204, statusText: 'No Content', headers: {}, config };
+        },
+      });
+      attachRetryInterceptor(http, DEFAULT_RETRY_OPTIONS, async () => undefined);
+      attachAuditInterceptor(http, 'management');
+
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      withAuditLog(server, log).registerTool('delete_license', {}, async () => {
+        await http.delete('/api/v1/licenses/7/');
+        return { content: [] };
+      });
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+      await client.callTool({ name: 'delete_license', arguments: {} });
+      await client.close();
+
+      expect(log.query().entries).toEqual([
+        expect.objectContaining({ tool: 'delete_license', method: 'DELETE', status: 204, retries: 1, args: {}, targets: { licenses: [7] } }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { AxiosResponse } from 'axios';
+import { LICENSE_API_CACHE_RULES, MANAGEMENT_API_CACHE_RULES, ResponseCache, parseCacheOptions } from '../cache';
+
+function createLoader() {
+  let calls = 0;
+  const load = async () => {
+    calls++;
+    return { status: 200, statusText: 'OK', headers: {}, config: {}, data: { results: [{ id: calls }] } } as unknown as AxiosResponse;
+  };
+  return { load, calls: () => calls };
+}
+
+describe('Cache Utils', () => {
+  let now: number;
+  let cache: ResponseCache;
+
+  beforeEach(() => {
+    now = 0;
+    cache = new ResponseCache(MANAGEMENT_API_CACHE_RULES, { ttlSeconds: 60, maxEntries: 2 }, () => now);
+  });
+
+  describe('parseCacheOptions', () => {
+    it('should read the TTL and size from the environment', () => {
+      expect(parseCacheOptions({})).toEqual({ ttlSeconds: 60, maxEntries: 500 });
+      expect(parseCacheOptions({ CACHE_TTL_SECONDS: '0', CACHE_MAX_ENTRIES: '10' })).toEqual({ ttlSeconds: 0, maxEntries: 10 });
+      expect(() => parseCacheOptions({ CACHE_TTL_SECONDS: 'soon' })).toThrow('Invalid CACHE_TTL_SECONDS');
+    });
+  });
+
+  describe('fetch', () => {
+    it('should serve whitelisted GETs from the cache until they expire', async () => {
+      const { load, calls } = createLoader();
+
+      await cache.fetch('/api/v1/customers/?limit=20', undefined, load);
+      const cached = await cache.fetch('/api/v1/customers/?limit=20', undefined, load);
+      expect(calls()).toBe(1);
+      expect(cached.data).toEqual({ results: [{ id: 1 }] });
+
+      now = 61000;
+      await cache.fetch('/api/v1/customers/?limit=20', undefined, load);
+      expect(calls()).toBe(2);
+    });
+
+    it('should not cache endpoints outside the whitelist', async () => {
+      const { load, calls } = createLoader();
+
+      await cache.fetch('/api/v1/licenses/', undefined, load);
+      await cache.fetch('/api/v1/customers/export/', undefined, load);
+      await cache.fetch('/api/v1/licenses/', undefined, load);
+
+      expect(calls()).toBe(3);
+      expect(cache.stats().size).toBe(0);
+    });
+
+    it('should return copies so callers cannot modify cached data', async () => {
+      const { load } = createLoader();
+
+      const first = await cache.fetch('/api/v1/products/', undefined, load);
+      first.data.results.push({ id: 99 });
+      const second = await cache.fetch('/api/v1/products/', undefined, load);
+
+      expect(second.data.results).toEqual([{ id: 1 }]);
+    });
+
+    it('should evict the oldest entries when full', async () => {
+      const { load } = createLoader();
+
+      await cache.fetch('/api/v1/products/1/', undefined, load);
+      await cache.fetch('/api/v1/products/2/', undefined, load);
+      await cache.fetch('/api/v1/products/3/', undefined, load);
+
+      expect(cache.stats().entries.map((entry) => entry.key)).toEqual(['/api/v1/products/2/', '/api/v1/products/3/']);
+    });
+
+    it('should bypass the cache when disabled', async () => {
+      const disabled = new ResponseCache(MANAGEMENT_API_CACHE_RULES, { ttlSeconds: 0, maxEntries: 10 });
+      const { load, calls } = createLoader();
+
+      await disabled.fetch('/api/v1/products/', undefined, load);
+      await disabled.fetch('/api/v1/products/', undefined, load);
+
+      expect(calls()).toBe(2);
+      expect(disabled.stats().enabled).toBe(false);
+    });
+
+    it('should load and store a fresh response when asked to skip the cache', async () => {
+      const { load, calls } = createLoader();
+
+      await cache.fetch('/api/v1/customers/7/', undefined, load);
+      const fresh = await cache.fetch('/api/v1/customers/7/', { skipCache: true }, load);
+      const cached = await cache.fetch('/api/v1/customers/7/', undefined, load);
+
+      expect(calls()).toBe(2);
+      expect(fresh.data).toEqual({ results: [{ id: 2 }] });
+      expect(cached.data).toEqual({ results: [{ id: 2 }] });
+    });
+  });
+
+  describe('invalidate', () => {
+    it('should drop the entries related to a modified path', async () => {
+      const { load } = createLoader();
+      await cache.fetch('/api/v1/customers/', undefined, load);
+      await cache.fetch('/api/v1/products/', undefined, load);
+
+      expect(cache.invalidate('/api/v1/licenses/42/')).toEqual(['customers']);
+      expect(cache.stats().entries.map((entry) => entry.tag)).toEqual(['products']);
+
+      expect(cache.invalidate('/api/v1/product-features/7/')).toEqual(['products']);
+      expect(cache.stats().size).toBe(0);
+    });
+
+    it('should forward invalidations to following caches', async () => {
+      const licenseCache = new ResponseCache(LICENSE_API_CACHE_RULES, { ttlSeconds: 60, maxEntries: 10 }, () => now);
+      const { load } = createLoader();
+      cache.forwardInvalidations(licenseCache);
+      await licenseCache.fetch('/api/v4/product_details?product=app', undefined, load);
+
+      expect(cache.invalidate('/api/v1/customers/3/')).toEqual(['customers']);
+      expect(licenseCache.stats().size).toBe(1);
+
+      expect(cache.invalidate('/api/v1/product-features/7/')).toEqual(['products']);
+      expect(licenseCache.stats().size).toBe(0);
+    });
+
+    it('should not store a response that was loading while its tag was invalidated', async () => {
+      const { load, calls } = createLoader();
+      let finishLoad: () => void = () => undefined;
+      const slowLoad = () => new Promise<AxiosResponse>((resolve) => {
+        finishLoad = () => resolve(load());
+      });
+
+      const stale = cache.fetch('/api/v1/customers/7/', undefined, slowLoad);
+      cache.invalidate('/api/v1/customers/7/');
+      finishLoad();
+
+      expect((await stale).data).toEqual({ results: [{ id: 1 }] });
+      expect(cache.stats().size).toBe(0);
+
+      await cache.fetch('/api/v1/customers/7/', undefined, load);
+      expect(calls()).toBe(2);
+      expect(cache.stats().size).toBe(1);
+    });
+  });
+
+  describe('flush and stats', () => {
+    it('should flush by tag and report hits and misses', async () => {
+      const { load } = createLoader();
+      await cache.fetch('/api/v1/customers/', undefined, load);
+      await cache.fetch('/api/v1/customers/', undefined, load);
+      await cache.fetch('/api/v1/products/', undefined, load);
+
+      expect(cache.stats()).toMatchObject({ size: 2, hits: 1, misses: 2 });
+      expect(cache.flush('customers')).toBe(1);
+      expect(cache.flush()).toBe(1);
+      expect(cache.stats().size).toBe(0);
+    });
+  });
+});
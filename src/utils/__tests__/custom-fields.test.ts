@@ -0,0 +1,56 @@
+import { getLicenseProductId, mergeCustomFields } from '../custom-fields';
+
+describe('Custom Field Utils', () => {
+  describe('mergeCustomFields', () => {
+    const productFields = {
+      count: 2,
+      results: [
+        { id: 1, name: 'Seats', data_type: 'number', default_value: '5' },
+        { id: 2, name: 'Region', data_type: 'text', default_value: 'EU' },
+      ],
+    };
+
+    it('should fall back to product defaults when the license has no values', () => {
+      const merged = mergeCustomFields(productFields, { count: 0, results: [] });
+
+      expect(merged).toEqual([
+        { product_custom_field: 1, name: 'Seats', data_type: 'number', value: '5', default_value: '5', source: 'product_default' },
+        { product_custom_field: 2, name: 'Region', data_type: 'text', value: 'EU', default_value: 'EU', source: 'product_default' },
+      ]);
+    });
+
+    it('should prefer license values over product defaults', () => {
+      const merged = mergeCustomFields(productFields, [
+        { id: 77, license: 10, product_custom_field: 1, value: '25' },
+      ]);
+
+      expect(merged[0]).toEqual({
+        product_custom_field: 1,
+        name: 'Seats',
+        data_type: 'number',
+        value: '25',
+        default_value: '5',
+        source: 'license',
+        license_custom_field: 77,
+      });
+      expect(merged[1].source).toBe('product_default');
+    });
+
+    it('should accept nested product custom field objects', () => {
+      const merged = mergeCustomFields(productFields, [
+        { id: 78, product_custom_field: { id: 2, name: 'Region' }, value: 'US' },
+      ]);
+
+      expect(merged[1].value).toBe('US');
+      expect(merged[1].source).toBe('license');
+    });
+  });
+
+  describe('getLicenseProductId', () => {
+    it('should read numeric and nested product references', () => {
+      expect(getLicenseProductId({ product: 3 })).toBe(3);
+      expect(getLicenseProductId({ product: { id: 4, product_name: 'App' } })).toBe(4);
+      expect(getLicenseProductId({})).toBeUndefined();
+    });
+  });
+});
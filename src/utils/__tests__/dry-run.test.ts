@@ -0,0 +1,84 @@
+import { z } from 'zod';
+import { ConfirmationStore, describeChange, diffFields } from '../dry-run';
+import { dryRunPreviewSchema } from '../../types/schemas';
+
+describe('Dry Run Utils', () => {
+  const license = { id: 7, license_key: 'AAAA-BBBB', enabled: true, note: 'old', features: ['pro'] };
+
+  describe('diffFields', () => {
+    it('should list the fields that change', () => {
+      expect(diffFields(license, { ...license, enabled: false, note: 'new' })).toEqual([
+        { field: 'enabled', before: true, after: false },
+        { field: 'note', before: 'old', after: 'new' },
+      ]);
+    });
+
+    it('should compare nested values by content', () => {
+      expect(diffFields(license, { ...license, features: ['pro'] })).toEqual([]);
+      expect(diffFields(license, { ...license, features: ['pro', 'sync'] })).toEqual([
+        { field: 'features', before: ['pro'], after: ['pro', 'sync'] },
+      ]);
+    });
+  });
+
+  describe('describeChange', () => {
+    it('should list every field of a deleted record', () => {
+      const change = describeChange(7, { id: 7, license_key: 'AAAA-BBBB' }, null);
+
+      expect(change).toEqual({
+        id: 7,
+        before: { id: 7, license_key: 'AAAA-BBBB' },
+        after: null,
+        diff: [
+          { field: 'id', before: 7, after: null },
+          { field: 'license_key', before: 'AAAA-BBBB', after: null },
+        ],
+      });
+    });
+  });
+
+  describe('ConfirmationStore', () => {
+    let now: number;
+    let store: ConfirmationStore;
+
+    beforeEach(() => {
+      now = Date.parse('2025-01-01T00:00:00Z');
+      store = new ConfirmationStore(300, () => now);
+    });
+
+    it('should return a preview that matches the output schema', () => {
+      const preview = store.preview('update_license', { id: 7 }, [describeChange(7, license, { ...license, enabled: false })]);
+
+      expect(preview).toMatchObject({ dry_run: true, tool: 'update_license', expires_at: '2025-01-01T00:05:00.000Z' });
+      expect(preview.confirmation_token).toMatch(/^[0-9a-f]{32}$/);
+      expect(z.object({ result: dryRunPreviewSchema }).safeParse({ result: preview }).success).toBe(true);
+    });
+
+    it('should confirm a call with the same arguments once', () => {
+      const { confirmation_token } = store.preview('update_license', { id: 7, updateData: { note: 'a', enabled: false } }, []);
+
+      expect(store.redeem(confirmation_token, 'update_license', { updateData: { enabled: false, note: 'a' }, id: 7 })).toBeUndefined();
+      expect(store.redeem(confirmation_token, 'update_license', { id: 7, updateData: { note: 'a', enabled: false } }))
+        .toContain('already used');
+    });
+
+    it('should require a token', () => {
+      expect(store.redeem(undefined, 'delete_license', { id: 7 })).toContain('Call it with dry_run: true');
+    });
+
+    it('should reject tokens issued for a different call', () => {
+      const { confirmation_token } = store.preview('delete_license', { id: 7 }, []);
+
+      expect(store.redeem(confirmation_token, 'delete_license', { id: 8 })).toContain('issued for a different call');
+      expect(store.redeem(confirmation_token, 'delete_customer', { id: 7 })).toContain('issued for a different call');
+      expect(store.redeem(confirmation_token, 'delete_license', { id: 7 })).toBeUndefined();
+    });
+
+    it('should reject expired tokens', () => {
+      const { confirmation_token } = store.preview('delete_license', { id: 7 }, []);
+      now += 300 * 1000;
+
+      expect(store.redeem(confirmation_token, 'delete_license', { id: 7 })).toContain('has expired');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { validateProductFeature } from '../features';
+
+describe('Feature Utils', () => {
+  describe('validateProductFeature', () => {
+    it('should accept a plain activation feature', () => {
+      expect(validateProductFeature({ feature_type: 'activation' }, true)).toEqual([]);
+    });
+
+    it('should reject consumption settings on activation features', () => {
+      const errors = validateProductFeature({
+        feature_type: 'activation',
+        max_consumption: 10,
+        allow_overages: true,
+      }, true);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('max_consumption, allow_overages');
+    });
+
+    it('should require max_consumption when creating a consumption feature', () => {
+      expect(validateProductFeature({ feature_type: 'consumption' }, true))
+        .toEqual(['max_consumption is required for consumption features']);
+    });
+
+    it('should not require max_consumption when updating a consumption feature', () => {
+      expect(validateProductFeature({ feature_type: 'consumption' })).toEqual([]);
+    });
+
+    it('should require allow_overages for max_overages', () => {
+      expect(validateProductFeature({ feature_type: 'consumption', max_consumption: 5, max_overages: 2 }, true))
+        .toEqual(['max_overages can only be set when allow_overages is true']);
+    });
+
+    it('should require reset_consumption for consumption_period', () => {
+      expect(validateProductFeature({ consumption_period: 'monthly' }))
+        .toEqual(['consumption_period can only be set when reset_consumption is true']);
+    });
+
+    it('should accept a fully configured consumption feature', () => {
+      expect(validateProductFeature({
+        feature_type: 'consumption',
+        max_consumption: 100,
+        allow_overages: true,
+        max_overages: 10,
+        reset_consumption: true,
+        consumption_period: 'monthly',
+      }, true)).toEqual([]);
+    });
+  });
+});
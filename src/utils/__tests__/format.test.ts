@@ -0,0 +1,137 @@
+import { extractRecords, formatResponse, getPath, projectFields, summarizeRecord, toCsv, toMarkdownTable } from '../format';
+
+describe('Format Utils', () => {
+  const license = {
+    id: 12,
+    license_key: 'AAAA-BBBB',
+    enabled: true,
+    active: true,
+    is_trial: false,
+    validity_period: '2025-01-31T00:00:00Z',
+    max_activations: 3,
+    times_activated: 1,
+    customer: { id: 5, email: 'jane@example.com', company_name: 'Acme' },
+    product_features: [{ code: 'pro', name: 'Pro' }, { code: 'sync', name: 'Sync' }],
+  };
+  const page = { count: 230, next: 'https://api.example.com/api/v1/licenses/?limit=2&offset=2', previous: null, results: [license, { id: 13, license_key: 'CCCC-DDDD', enabled: false }] };
+
+  describe('projectFields', () => {
+    it('should keep only the requested fields, including nested paths', () => {
+      expect(projectFields(license, ['id', 'customer.email', 'product_features.code'])).toEqual({
+        id: 12,
+        customer: { email: 'jane@example.com' },
+        product_features: [{ code: 'pro' }, { code: 'sync' }],
+      });
+    });
+
+    it('should let a parent field win over its nested paths', () => {
+      expect(projectFields(license, ['customer.email', 'customer'])).toEqual({ customer: license.customer });
+    });
+
+    it('should project the records of a page and keep its metadata', () => {
+      expect(projectFields(page, ['license_key'])).toEqual({
+        count: 230,
+        next: page.next,
+        previous: null,
+        results: [{ license_key: 'AAAA-BBBB' }, { license_key: 'CCCC-DDDD' }],
+      });
+    });
+
+    it('should return the data unchanged without fields', () => {
+      expect(projectFields(page)).toBe(page);
+      expect(projectFields(page, [])).toBe(page);
+    });
+  });
+
+  describe('getPath and extractRecords', () => {
+    it('should read nested values and values inside arrays', () => {
+      expect(getPath(license, 'customer.email')).toBe('jane@example.com');
+      expect(getPath(license, 'product_features.code')).toEqual(['pro', 'sync']);
+      expect(getPath(license, 'missing.path')).toBeUndefined();
+    });
+
+    it('should return the records of arrays, pages and single objects', () => {
+      expect(extractRecords([license])).toEqual([license]);
+      expect(extractRecords(page)).toHaveLength(2);
+      expect(extractRecords(license)).toEqual([license]);
+      expect(extractRecords(null)).toEqual([]);
+    });
+  });
+
+  describe('summarizeRecord', () => {
+    it('should summarize a license with key, status, expiry and activations', () => {
+      expect(summarizeRecord(license)).toBe('#12 | AAAA-BBBB | active | expires 2025-01-31 | activations 1/3');
+    });
+
+    it('should report disabled and trial licenses', () => {
+      expect(summarizeRecord({ license_key: 'X', enabled: false })).toBe('X | disabled');
+      expect(summarizeRecord({ license_key: 'X', license_active: true, is_trial: true })).toBe('X | active (trial)');
+    });
+
+    it('should summarize customers and variables', () => {
+      expect(summarizeRecord({ id: 5, email: 'jane@example.com', first_name: 'Jane', last_name: 'Doe', company_name: 'Acme' }))
+        .toBe('#5 | jane@example.com | Jane Doe | Acme');
+      expect(summarizeRecord({ id: 3, variable: 'os', value: 'linux' })).toBe('#3 | os=linux');
+    });
+
+    it('should fall back to the first scalar fields of unknown records', () => {
+      expect(summarizeRecord({ id: 1, foo: 'a', bar: 2, nested: { x: 1 } })).toBe('#1 | foo=a | bar=2');
+    });
+
+    it('should list the requested fields when given', () => {
+      expect(summarizeRecord(license, ['license_key', 'customer.email'])).toBe('AAAA-BBBB | jane@example.com');
+    });
+  });
+
+  describe('toMarkdownTable and toCsv', () => {
+    it('should use scalar fields as default columns', () => {
+      const table = toMarkdownTable([{ id: 1, note: 'a|b', customer: { id: 2 } }, { id: 2, enabled: true }]);
+
+      expect(table).toBe([
+        '| id | note | enabled |',
+        '| --- | --- | --- |',
+        '| 1 | a\\|b |  |',
+        '| 2 |  | true |',
+      ].join('\n'));
+    });
+
+    it('should report empty tables', () => {
+      expect(toMarkdownTable([])).toBe('No records');
+    });
+
+    it('should quote CSV values with commas, quotes and newlines', () => {
+      const csv = toCsv([{ id: 1, note: 'a, "b"\nc' }], ['id', 'note', 'customer.email']);
+
+      expect(csv).toBe('id,note,customer.email\n1,"a, ""b""\nc",');
+    });
+  });
+
+  describe('formatResponse', () => {
+    it('should return pretty JSON by default', () => {
+      expect(formatResponse(license)).toEqual({ text: JSON.stringify(license, null, 2), data: license });
+    });
+
+    it('should return one line per record with page details in compact mode', () => {
+      const { text, data } = formatResponse(page, { format: 'compact' });
+
+      expect(text).toBe([
+        '#12 | AAAA-BBBB | active | expires 2025-01-31 | activations 1/3',
+        '#13 | CCCC-DDDD | disabled',
+        '2 of 230 records',
+        `next: ${page.next}`,
+      ].join('\n'));
+      expect(data).toBe(page);
+    });
+
+    it('should combine field projection with table formats', () => {
+      const { text, data } = formatResponse({ ...page, next: null, next_cursor: 'abc' }, { format: 'markdown', fields: ['license_key'] });
+
+      expect(text).toBe('| license_key |\n| --- |\n| AAAA-BBBB |\n| CCCC-DDDD |\n\n2 of 230 records\nnext_cursor: abc');
+      expect(data).toEqual({ count: 230, next: null, previous: null, next_cursor: 'abc', results: [{ license_key: 'AAAA-BBBB' }, { license_key: 'CCCC-DDDD' }] });
+    });
+
+    it('should render CSV without page details', () => {
+      expect(formatResponse(page, { format: 'csv', fields: ['id', 'enabled'] }).text).toBe('id,enabled\n12,true\n13,false');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { buildLicenseTimeline } from '../history';
+
+describe('History Utils', () => {
+  describe('buildLicenseTimeline', () => {
+    it('should order events chronologically and describe who made each change', () => {
+      const timeline = buildLicenseTimeline({
+        count: 2,
+        results: [
+          {
+            id: 2,
+            created_at: '2024-03-02T10:00:00Z',
+            created_by: { id: 5, email: 'admin@example.com' },
+            action: 'disabled',
+            changes: { enabled: [true, false] },
+          },
+          {
+            id: 1,
+            created_at: '2024-03-01T09:00:00Z',
+            created_by: 'api',
+            action: 'created',
+          },
+        ],
+      });
+
+      expect(timeline).toEqual([
+        { id: 1, at: '2024-03-01T09:00:00Z', actor: 'api', action: 'created' },
+        {
+          id: 2,
+          at: '2024-03-02T10:00:00Z',
+          actor: 'admin@example.com',
+          action: 'disabled',
+          changes: { enabled: [true, false] },
+        },
+      ]);
+    });
+
+    it('should place entries without a timestamp last', () => {
+      const timeline = buildLicenseTimeline([
+        { action: 'unknown' },
+        { created_at: '2024-01-01T00:00:00Z', action: 'created' },
+      ]);
+
+      expect(timeline.map((event) => event.action)).toEqual(['created', 'unknown']);
+      expect(timeline[1]).toEqual({ at: null, actor: null, action: 'unknown' });
+    });
+
+    it('should return an empty timeline for unexpected payloads', () => {
+      expect(buildLicenseTimeline({ detail: 'Not found.' })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import axios, { AxiosError } from 'axios';
+import { handleApiError, parseApiError } from '../http';
+import { DEFAULT_RETRY_OPTIONS, attachRetryInterceptor } from '../retry';
+
+describe('HTTP Utils', () => {
+  describe('handleApiError', () => {
+    it('should return the API error message', () => {
+      const error = { response: { status: 400, statusText: 'Bad Request', data: { message: 'Invalid license key' } } };
+
+      expect(handleApiError(error)).toBe('Invalid license key');
+    });
+
+    it('should report how many retries were made', () => {
+      const error = { config: { retryCount: 3 }, response: { status: 503, statusText: 'Service Unavailable', data: {} } };
+
+      expect(handleApiError(error)).toBe('HTTP 503: Service Unavailable (failed after 3 retries)');
+    });
+
+    it('should not mention retries when none were made', () => {
+      const error = { config: {}, request: {} };
+
+      expect(handleApiError(error)).toBe('No response received from LicenseSpring API server. Please check your internet connection.');
+    });
+
+    it('should give License API key advice when the License API rejects the credentials', () => {
+      const error = { config: { url: '/api/v4/check_license' }, response: { status: 401, statusText: 'Unauthorized', data: { detail: 'Unauthorized' } } };
+
+      expect(handleApiError(error)).toContain('Verify your LICENSE_API_KEY is correct');
+    });
+
+    it('should give Management API key advice when the Management API rejects the credentials', () => {
+      const error = { config: { url: '/api/v1/licenses/' }, response: { status: 401, statusText: 'Unauthorized', data: { detail: 'Invalid authentication credentials' } } };
+
+      expect(handleApiError(error)).toContain('Verify your MANAGEMENT_API_KEY is correct');
+      expect(handleApiError(error)).not.toContain('LICENSE_SHARED_KEY');
+    });
+  });
+
+  describe('parseApiError', () => {
+    it('should keep the LicenseSpring error code and give a hint for it', () => {
+      const error = {
+        config: { url: '/api/v4/activate_license' },
+        response: { status: 400, statusText: 'Bad Request', data: { status: 400, code: 'max_activations_reached', message: 'License activations exceeded' } },
+      };
+
+      expect(parseApiError(error)).toEqual({
+        status: 400,
+        code: 'max_activations_reached',
+        message: 'License activations exceeded',
+        retryable: false,
+        retries: 0,
+        hint: expect.stringContaining('Deactivate an unused device'),
+        api: 'license',
+      });
+    });
+
+    it('should derive a code from the status when the API sends none', () => {
+      const error = { config: { url: '/api/v1/licenses/99/', retryCount: 2 }, response: { status: 503, statusText: 'Service Unavailable', data: {} } };
+
+      expect(parseApiError(error)).toMatchObject({ status: 503, code: 'server_error', retryable: true, retries: 2, api: 'management' });
+      expect(parseApiError({ response: { status: 404, statusText: 'Not Found', data: { detail: 'Not found.' } } }))
+        .toMatchObject({ code: 'not_found', message: 'Not found.', retryable: false });
+      expect(parseApiError({ response: { status: 429, statusText: 'Too Many Requests', data: {} } }))
+        .toMatchObject({ code: 'rate_limited', retryable: true });
+    });
+
+    it('should follow the retry statuses the client was configured with', async () => {
+      const retryOptions = { ...DEFAULT_RETRY_OPTIONS, retries: 0, retryOnStatus: [409, 503] };
+      const http = axios.create({
+        adapter: async (config) => {
+          const status = config.url?.includes('busy') ? 409 : 500;
+          const response = { data: {}, status, statusText: '', headers: {}, config };
+          throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+        },
+      });
+      attachRetryInterceptor(http, retryOptions);
+
+      const conflict = await http.get('/api/v1/licenses/busy/').catch((error: unknown) => error);
+      const serverError = await http.get('/api/v1/licenses/7/').catch((error: unknown) => error);
+
+      expect(parseApiError(conflict)).toMatchObject({ status: 409, code: 'conflict', retryable: true });
+      expect(parseApiError(serverError)).toMatchObject({ status: 500, code: 'server_error', retryable: false });
+      expect(parseApiError({ response: { status: 429, statusText: 'Too Many Requests', data: {} } }, retryOptions))
+        .toMatchObject({ code: 'rate_limited', retryable: false });
+    });
+
+    it('should report Management API field errors as validation errors', () => {
+      const error = { config: { url: '/api/v1/customers/' }, response: { status: 400, statusText: 'Bad Request', data: { email: ['Enter a valid email address.'] } } };
+
+      expect(parseApiError(error)).toMatchObject({ code: 'validation_error', message: 'email: Enter a valid email address.' });
+    });
+
+    it('should classify network failures and timeouts as retryable', () => {
+      expect(parseApiError({ config: { url: '/api/v4/check_license' }, request: {}, code: 'ECONNABORTED' }))
+        .toMatchObject({ status: null, code: 'timeout', retryable: true, api: 'license' });
+      expect(parseApiError({ request: {} })).toMatchObject({ code: 'network_error', retryable: true });
+    });
+
+    it('should not mark requests that may have been processed as retryable', () => {
+      const timedOutPost = { config: { url: '/api/v1/licenses/', method: 'post' }, request: {}, code: 'ECONNABORTED' };
+
+      expect(parseApiError(timedOutPost)).toMatchObject({ code: 'timeout', retryable: false });
+      expect(parseApiError(timedOutPost, { ...DEFAULT_RETRY_OPTIONS, retryNonIdempotent: true })).toMatchObject({ retryable: true });
+      expect(parseApiError({ config: { url: '/api/v1/licenses/7/', method: 'delete' }, request: {} })).toMatchObject({ retryable: true });
+    });
+
+    it('should classify errors raised before a request was sent', () => {
+      expect(parseApiError(new Error('Invalid cursor: it was not issued by this tool'))).toEqual({
+        status: null,
+        code: 'client_error',
+        message: 'Invalid cursor: it was not issued by this tool',
+        retryable: false,
+        retries: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  ImportTimeoutError,
+  getImportId,
+  isImportFinished,
+  summarizeImportResult,
+  waitForImport
+} from '../imports';
+
+describe('Import Utils', () => {
+  describe('getImportId', () => {
+    it('should read the import result ID from common response shapes', () => {
+      expect(getImportId({ id: 5 })).toBe(5);
+      expect(getImportId({ import_id: 6 })).toBe(6);
+      expect(getImportId({ import_result: { id: 7 } })).toBe(7);
+      expect(getImportId({ detail: 'queued' })).toBeUndefined();
+    });
+  });
+
+  describe('isImportFinished', () => {
+    it('should treat pending and running imports as unfinished', () => {
+      expect(isImportFinished({ status: 'pending' })).toBe(false);
+      expect(isImportFinished({ status: 'running' })).toBe(false);
+      expect(isImportFinished({ status: 'success' })).toBe(true);
+      expect(isImportFinished({ status: 'error' })).toBe(true);
+      expect(isImportFinished({})).toBe(false);
+    });
+  });
+
+  describe('summarizeImportResult', () => {
+    it('should report explicit failure lists', () => {
+      const summary = summarizeImportResult({
+        id: 3,
+        status: 'error',
+        total_rows: 10,
+        errors: [{ row: 4, error: 'Unknown product' }],
+      });
+
+      expect(summary).toEqual({
+        id: 3,
+        status: 'error',
+        total_rows: 10,
+        failed_rows: 1,
+        failures: [{ row: 4, error: 'Unknown product' }],
+      });
+    });
+
+    it('should pick failed rows out of per-row results', () => {
+      const summary = summarizeImportResult({
+        status: 'success',
+        rows: [
+          { row: 1, status: 'success' },
+          { row: 2, status: 'error', error: 'Duplicate key' },
+        ],
+      });
+
+      expect(summary.failed_rows).toBe(1);
+      expect(summary.failures).toEqual([{ row: 2, status: 'error', error: 'Duplicate key' }]);
+    });
+  });
+
+  describe('waitForImport', () => {
+    it('should poll until the import finishes and report progress', async () => {
+      const statuses = ['pending', 'running', 'success'];
+      const client = {
+        get: jest.fn(async () => ({ data: { id: 9, status: statuses.shift() } })),
+      };
+      const onProgress = jest.fn();
+
+      const result = await waitForImport(client, 'customers', 9, { intervalMs: 1, onProgress });
+
+      expect(result).toEqual({ id: 9, status: 'success' });
+      expect(client.get).toHaveBeenCalledTimes(3);
+      expect(client.get).toHaveBeenCalledWith('/api/v1/customers-import-results/9/');
+      expect(onProgress).toHaveBeenCalledTimes(2);
+    });
+
+    it('should time out when the import never finishes', async () => {
+      const client = {
+        get: jest.fn(async () => ({ data: { status: 'running' } })),
+      };
+
+      const wait = waitForImport(client, 'licenses', 1, { intervalMs: 5, timeoutMs: 12 });
+
+      await expect(wait).rejects.toThrow('Timed out');
+      await expect(wait).rejects.toBeInstanceOf(ImportTimeoutError);
+    });
+
+    it('should poll once more at the deadline instead of giving up before it', async () => {
+      const client = {
+        get: jest.fn(async () => ({ data: { status: 'running' } })),
+      };
+      const started = Date.now();
+
+      await expect(waitForImport(client, 'licenses', 1, { intervalMs: 1000, timeoutMs: 50 }))
+        .rejects.toThrow('Timed out');
+      expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(client.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop waiting between polls when the request is cancelled', async () => {
+      const controller = new AbortController();
+      const client = {
+        get: jest.fn(async () => ({ data: { status: 'running' } })),
+      };
+      const started = Date.now();
+      setTimeout(() => controller.abort(), 20);
+
+      await expect(waitForImport(client, 'customers', 1, { intervalMs: 60000, signal: controller.signal }))
+        .rejects.toThrow('Stopped waiting for customers import 1: request was cancelled');
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(client.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop when the request is cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const client = { get: jest.fn() };
+
+      await expect(waitForImport(client, 'license_features', 1, { signal: controller.signal }))
+        .rejects.toThrow('cancelled');
+      expect(client.get).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { DEFAULT_TOOL_PREFIXES, parseToolPrefixes, withNamePrefix } from '../namespace';
+
+describe('Namespace Utils', () => {
+  describe('parseToolPrefixes', () => {
+    it('should not prefix tools by default', () => {
+      expect(parseToolPrefixes([], {})).toEqual({ license: '', management: '' });
+    });
+
+    it('should enable the default prefixes with --prefix-tools or MCP_PREFIX_TOOLS', () => {
+      expect(parseToolPrefixes(['--prefix-tools'], {})).toEqual(DEFAULT_TOOL_PREFIXES);
+      expect(parseToolPrefixes([], { MCP_PREFIX_TOOLS: 'true' })).toEqual(DEFAULT_TOOL_PREFIXES);
+    });
+
+    it('should allow each prefix to be set individually', () => {
+      expect(parseToolPrefixes(['--prefix-tools', '--license-prefix=ls_'], { MCP_MANAGEMENT_PREFIX: 'admin_' })).toEqual({
+        license: 'ls_',
+        management: 'admin_',
+      });
+    });
+
+    it('should reject prefixes with unsupported characters', () => {
+      expect(() => parseToolPrefixes(['--license-prefix', 'license.'], {})).toThrow('Invalid license prefix');
+    });
+  });
+
+  describe('withNamePrefix', () => {
+    it('should prefix tool and prompt names while sharing the underlying server', async () => {
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      const prefixed = withNamePrefix(server, 'mgmt_');
+
+      prefixed.registerTool('list_licenses', { description: 'List licenses' }, async () => ({ content: [] }));
+      prefixed.registerPrompt('customer-analysis', { description: 'Analyze' }, () => ({ messages: [] }));
+      server.registerTool('check_license', { description: 'Check license' }, async () => ({ content: [] }));
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+
+      const { tools } = await client.listTools();
+      const { prompts } = await client.listPrompts();
+      expect(tools.map((tool) => tool.name).sort()).toEqual(['check_license', 'mgmt_list_licenses']);
+      expect(prompts.map((prompt) => prompt.name)).toEqual(['mgmt_customer-analysis']);
+
+      await client.close();
+    });
+
+    it('should return the server unchanged when the prefix is empty', () => {
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      expect(withNamePrefix(server, '')).toBe(server);
+    });
+  });
+});
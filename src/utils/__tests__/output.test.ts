@@ -0,0 +1,141 @@
+import { z } from 'zod';
+import { apiErrorResult, errorResult, exportResult, formattedResult, jsonResult, messageResult, toolOutput } from '../output';
+import {
+  customFieldSchema,
+  deviceVariableSchema,
+  licenseCustomFieldValueSchema,
+  licenseSchema,
+  listSchema,
+  softwareVersionItemSchema
+} from '../../types/schemas';
+
+const toolOutputSchema = z.object(toolOutput(listSchema(licenseSchema)));
+
+describe('Output Utils', () => {
+  describe('jsonResult', () => {
+    it('should return the data as JSON text and structured content', () => {
+      const result = jsonResult({ id: 1, license_key: 'ABCD' });
+
+      expect(result.content).toEqual([{ type: 'text', text: JSON.stringify({ id: 1, license_key: 'ABCD' }, null, 2) }]);
+      expect(result.structuredContent).toEqual({ result: { id: 1, license_key: 'ABCD' } });
+    });
+
+    it('should represent missing data as null', () => {
+      expect(jsonResult(undefined).structuredContent).toEqual({ result: null });
+    });
+  });
+
+  describe('formattedResult', () => {
+    it('should return the projected data as structured content for the full format', () => {
+      const result = formattedResult([{ id: 1, license_key: 'ABCD', note: 'x' }], { fields: ['license_key'], format: 'full' });
+
+      expect(result.content).toEqual([{ type: 'text', text: JSON.stringify([{ license_key: 'ABCD' }], null, 2) }]);
+      expect(result.structuredContent).toEqual({ result: [{ license_key: 'ABCD' }] });
+    });
+
+    it('should return formatted text and only a summary as structured content for the other formats', () => {
+      const result = formattedResult([{ id: 1, license_key: 'ABCD', note: 'x' }], { fields: ['license_key'], format: 'csv' });
+
+      expect(result.content).toEqual([{ type: 'text', text: 'license_key\nABCD' }]);
+      expect(result.structuredContent).toEqual({ summary: { returned: 1 } });
+    });
+
+    it('should include the page count and cursor in the summary', () => {
+      const page = { count: 40, next_cursor: 'abc', results: [{ id: 1 }, { id: 2 }] };
+
+      expect(formattedResult(page, { format: 'compact' }).structuredContent).toEqual({ summary: { returned: 2, count: 40, next_cursor: 'abc' } });
+      expect(toolOutputSchema.safeParse(formattedResult(page, { format: 'markdown' }).structuredContent).success).toBe(true);
+    });
+
+    it('should keep compact payloads smaller than the records they summarize', () => {
+      const records = Array.from({ length: 50 }, (_, i) => ({ id: i, license_key: `KEY-${i}`, customer: { email: `user${i}@example.com` }, note: 'x'.repeat(200) }));
+      const result = formattedResult({ count: 50, results: records }, { format: 'compact' });
+
+      expect(JSON.stringify(result).length).toBeLessThan(JSON.stringify(records).length / 2);
+    });
+  });
+
+  describe('messageResult and exportResult', () => {
+    it('should return confirmations as messages', () => {
+      expect(messageResult('License 1 deleted successfully').structuredContent).toEqual({ message: 'License 1 deleted successfully' });
+    });
+
+    it('should keep CSV exports as raw text', () => {
+      const result = exportResult('id,email\n1,a@example.com');
+
+      expect(result.content).toEqual([{ type: 'text', text: 'id,email\n1,a@example.com' }]);
+      expect(result.structuredContent).toEqual({ result: 'id,email\n1,a@example.com' });
+    });
+  });
+
+  describe('errorResult', () => {
+    it('should mark the result as an error with structured details', () => {
+      const result = errorResult('Error getting license: Not found.');
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent).toEqual({ error: { message: 'Error getting license: Not found.' } });
+    });
+  });
+
+  describe('apiErrorResult', () => {
+    it('should return the error classification with a remediation hint', () => {
+      const error = { config: { url: '/api/v4/check_license' }, response: { status: 400, statusText: 'Bad Request', data: { code: 'license_expired', message: 'License expired' } } };
+      const result = apiErrorResult('Error checking license', error);
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0]).toEqual({ type: 'text', text: expect.stringMatching(/^Error checking license: License expired\nHint: The license validity period has ended/) });
+      expect(result.structuredContent).toMatchObject({
+        error: { message: expect.stringContaining('Error checking license: License expired'), status: 400, code: 'license_expired', retryable: false, api: 'license' },
+      });
+    });
+
+    it('should not repeat a hint that is already part of the message', () => {
+      const error = { config: { url: '/api/v1/licenses/' }, response: { status: 401, statusText: 'Unauthorized', data: { detail: 'Invalid authentication credentials' } } };
+
+      expect(apiErrorResult('Error listing licenses', error).content[0]).toEqual({ type: 'text', text: expect.not.stringContaining('Hint:') });
+    });
+
+    it('should use the given retry statuses', () => {
+      const error = { config: { url: '/api/v1/licenses/' }, response: { status: 503, statusText: 'Service Unavailable', data: {} } };
+
+      expect(apiErrorResult('Error listing licenses', error, { retryOnStatus: [429], retryNonIdempotent: false }).structuredContent)
+        .toMatchObject({ error: { code: 'server_error', retryable: false } });
+    });
+  });
+
+  describe('toolOutput', () => {
+    const schema = z.object(toolOutput(listSchema(licenseSchema)));
+
+    it('should accept successful, message and error results', () => {
+      const page = { count: 1, next: null, previous: null, results: [{ id: 1, license_key: 'ABCD', customer: { id: 2 } }] };
+
+      expect(schema.safeParse(jsonResult(page).structuredContent).success).toBe(true);
+      expect(schema.safeParse(jsonResult([{ id: 1 }]).structuredContent).success).toBe(true);
+      expect(schema.safeParse(messageResult('done').structuredContent).success).toBe(true);
+      expect(schema.safeParse(errorResult('failed').structuredContent).success).toBe(true);
+      expect(schema.safeParse(apiErrorResult('Error listing licenses', { request: {} }).structuredContent).success).toBe(true);
+    });
+
+    it('should reject results that contradict the response type', () => {
+      expect(schema.safeParse(jsonResult({ results: [{ id: 'one' }] }).structuredContent).success).toBe(false);
+    });
+
+    it('should accept version strings as well as version records', () => {
+      const versions = z.object(toolOutput(listSchema(softwareVersionItemSchema)));
+
+      expect(versions.safeParse(jsonResult(['1.0.0', '1.1.0']).structuredContent).success).toBe(true);
+      expect(versions.safeParse(jsonResult([{ version: '1.1.0', release_date: '2025-01-01' }]).structuredContent).success).toBe(true);
+    });
+
+    it('should accept numeric and boolean custom field values', () => {
+      const fields = z.object(toolOutput(listSchema(customFieldSchema)));
+      const values = z.object(toolOutput(z.array(licenseCustomFieldValueSchema)));
+      const variables = z.object(toolOutput(z.array(deviceVariableSchema)));
+
+      expect(fields.safeParse(jsonResult([{ id: 1, name: 'seats', value: 5, default_value: 1 }]).structuredContent).success).toBe(true);
+      expect(values.safeParse(jsonResult([{ name: 'beta', data_type: 'boolean', value: true }]).structuredContent).success).toBe(true);
+      expect(variables.safeParse(jsonResult([{ id: 1, variable: 'cores', value: 8 }]).structuredContent).success).toBe(true);
+      expect(fields.safeParse(jsonResult([{ id: 1, value: { nested: true } }]).structuredContent).success).toBe(false);
+    });
+  });
+});
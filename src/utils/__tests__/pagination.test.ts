@@ -0,0 +1,79 @@
+import { collectPages, decodeCursor, encodeCursor } from '../pagination';
+
+/**
+ * Fake client serving `total` records with limit/offset pagination and absolute next links
+ */
+function createClient(total: number) {
+  const requested: string[] = [];
+  const client = {
+    get: async (url: string) => {
+      requested.push(url);
+      const params = new URL(url, 'http://localhost').searchParams;
+      const limit = Number(params.get('limit') ?? 10);
+      const offset = Number(params.get('offset') ?? 0);
+      const results = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, i) => ({ id: offset + i + 1 }));
+      const next = offset + limit < total
+        ? `https://saas.licensespring.com/api/v1/licenses/?limit=${limit}&offset=${offset + limit}`
+        : null;
+      return { data: { count: total, next, previous: null, results } };
+    },
+  };
+  return { client, requested };
+}
+
+describe('Pagination Utils', () => {
+  describe('collectPages', () => {
+    it('should follow next links until every record is collected', async () => {
+      const { client, requested } = createClient(25);
+
+      const pages = await collectPages<{ id: number }>(client, '/api/v1/licenses/?limit=10', 1000);
+
+      expect(pages.count).toBe(25);
+      expect(pages.returned).toBe(25);
+      expect(pages.results.map((record) => record.id)).toEqual(Array.from({ length: 25 }, (_, i) => i + 1));
+      expect(pages.next_cursor).toBeNull();
+      expect(requested).toEqual([
+        '/api/v1/licenses/?limit=10',
+        '/api/v1/licenses/?limit=10&offset=10',
+        '/api/v1/licenses/?limit=10&offset=20',
+      ]);
+    });
+
+    it('should stop at maxItems and resume from the cursor without skipping records', async () => {
+      const { client } = createClient(25);
+
+      const first = await collectPages(client, '/api/v1/licenses/?limit=10', 15);
+      expect(first.returned).toBe(15);
+      expect(first.next_cursor).not.toBeNull();
+
+      const rest = await collectPages<{ id: number }>(client, decodeCursor(first.next_cursor!, '/api/v1/licenses/'), 1000);
+      expect(rest.results.map((record) => record.id)).toEqual(Array.from({ length: 10 }, (_, i) => i + 16));
+      expect(rest.next_cursor).toBeNull();
+    });
+
+    it('should return a cursor for the next page when maxItems ends on a page boundary', async () => {
+      const { client } = createClient(25);
+
+      const pages = await collectPages(client, '/api/v1/licenses/?limit=10', 10);
+
+      expect(decodeCursor(pages.next_cursor!, '/api/v1/licenses/')).toBe('/api/v1/licenses/?limit=10&offset=10');
+    });
+
+    it('should accept endpoints that return a plain array', async () => {
+      const client = { get: async () => ({ data: [{ id: 1 }, { id: 2 }] }) };
+
+      const pages = await collectPages(client, '/api/v1/orders/', 100);
+
+      expect(pages).toEqual({ count: 2, returned: 2, results: [{ id: 1 }, { id: 2 }], next_cursor: null });
+    });
+  });
+
+  describe('decodeCursor', () => {
+    it('should reject cursors issued for another endpoint', () => {
+      const cursor = encodeCursor('/api/v1/customers/?limit=10&offset=10');
+
+      expect(decodeCursor(cursor, '/api/v1/customers/')).toBe('/api/v1/customers/?limit=10&offset=10');
+      expect(() => decodeCursor(cursor, '/api/v1/licenses/')).toThrow('Invalid cursor');
+    });
+  });
+});
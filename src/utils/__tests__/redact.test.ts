@@ -0,0 +1,46 @@
+import { REDACTED, redactSecrets } from '../redact';
+
+describe('Redact Utils', () => {
+  describe('redactSecrets', () => {
+    it('should redact password fields at any depth', () => {
+      const redacted = redactSecrets({
+        email: 'user@example.com',
+        password: 'secret',
+        users: [{ email: 'a@example.com', Password: 'other-secret' }],
+      });
+
+      expect(redacted).toEqual({
+        email: 'user@example.com',
+        password: REDACTED,
+        users: [{ email: 'a@example.com', Password: REDACTED }],
+      });
+    });
+
+    it('should redact keys, secrets and tokens', () => {
+      expect(redactSecrets({ api_key: 'a', SHARED_KEY: 'b', client_secret: 'c', confirmation_token: 'd', license_key: 'AAAA' })).toEqual({
+        api_key: REDACTED,
+        SHARED_KEY: REDACTED,
+        client_secret: REDACTED,
+        confirmation_token: REDACTED,
+        license_key: 'AAAA',
+      });
+    });
+
+    it('should not modify the original value', () => {
+      const original = { password: 'secret' };
+
+      redactSecrets(original);
+
+      expect(original.password).toBe('secret');
+    });
+
+    it('should support custom secret keys', () => {
+      expect(redactSecrets({ api_key: 'k', name: 'n' }, ['api_key'])).toEqual({ api_key: REDACTED, name: 'n' });
+    });
+
+    it('should pass through primitives', () => {
+      expect(redactSecrets('text')).toBe('text');
+      expect(redactSecrets(null)).toBeNull();
+    });
+  });
+});
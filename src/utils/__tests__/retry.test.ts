@@ -0,0 +1,130 @@
+import axios, { AxiosError, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+import {
+  DEFAULT_RETRY_OPTIONS,
+  RetryOptions,
+  attachRetryInterceptor,
+  computeBackoffDelay,
+  getRetryCount,
+  isRetryableError,
+  parseRetryAfter,
+  parseRetryOptions
+} from '../retry';
+
+const options: RetryOptions = { ...DEFAULT_RETRY_OPTIONS, retries: 2, baseDelayMs: 100 };
+
+function httpError(status: number, method = 'get', headers: Record<string, string> = {}): AxiosError {
+  const config = { method, headers: {} } as InternalAxiosRequestConfig;
+  const response = { status, statusText: '', headers, config, data: {} } as AxiosResponse;
+  return new AxiosError(`HTTP ${status}`, undefined, config, undefined, response);
+}
+
+/**
+ * Create an axios client whose adapter replays the given statuses in order
+ */
+function createClient(statuses: number[], headers: Record<string, string> = {}) {
+  const calls: string[] = [];
+  const waits: number[] = [];
+  const client = axios.create({
+    adapter: async (config) => {
+      calls.push(config.method ?? 'get');
+      const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+      const response = { status, statusText: '', headers, config, data: { status } } as AxiosResponse;
+      if (status >= 400) {
+        throw new AxiosError(`HTTP ${status}`, undefined, config, undefined, response);
+      }
+      return response;
+    },
+  });
+  attachRetryInterceptor(client, options, async (ms) => {
+    waits.push(ms);
+  });
+  return { client, calls, waits };
+}
+
+describe('Retry Utils', () => {
+  describe('parseRetryOptions', () => {
+    it('should use defaults and read overrides from the environment', () => {
+      expect(parseRetryOptions({})).toEqual(DEFAULT_RETRY_OPTIONS);
+      expect(parseRetryOptions({ HTTP_MAX_RETRIES: '0', HTTP_RETRY_NON_IDEMPOTENT: 'true' })).toMatchObject({
+        retries: 0,
+        retryNonIdempotent: true,
+      });
+    });
+
+    it('should reject invalid numbers', () => {
+      expect(() => parseRetryOptions({ HTTP_MAX_RETRIES: '-1' })).toThrow('Invalid HTTP_MAX_RETRIES');
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delays in seconds and HTTP dates', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+      expect(parseRetryAfter('2', now)).toBe(2000);
+      expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+      expect(parseRetryAfter('not a date', now)).toBeUndefined();
+      expect(parseRetryAfter(undefined, now)).toBeUndefined();
+    });
+  });
+
+  describe('computeBackoffDelay', () => {
+    it('should grow exponentially with jitter and respect the cap', () => {
+      expect(computeBackoffDelay(0, options, () => 0.5)).toBe(50);
+      expect(computeBackoffDelay(3, options, () => 0.5)).toBe(400);
+      expect(computeBackoffDelay(20, options, () => 0.999)).toBeLessThan(options.maxDelayMs);
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry transient statuses of idempotent requests only', () => {
+      expect(isRetryableError(httpError(503), options)).toBe(true);
+      expect(isRetryableError(httpError(429, 'delete'), options)).toBe(true);
+      expect(isRetryableError(httpError(404), options)).toBe(false);
+      expect(isRetryableError(httpError(503, 'post'), options)).toBe(false);
+      expect(isRetryableError(httpError(503, 'post'), { ...options, retryNonIdempotent: true })).toBe(true);
+    });
+
+    it('should retry network resets', () => {
+      const error = new AxiosError('socket hang up', 'ECONNRESET', { method: 'get', headers: {} } as InternalAxiosRequestConfig);
+      expect(isRetryableError(error, options)).toBe(true);
+    });
+  });
+
+  describe('attachRetryInterceptor', () => {
+    it('should retry until the request succeeds', async () => {
+      const { client, calls, waits } = createClient([502, 503, 200]);
+
+      const response = await client.get('/api/v1/licenses/');
+
+      expect(response.data).toEqual({ status: 200 });
+      expect(calls).toHaveLength(3);
+      expect(waits).toHaveLength(2);
+    });
+
+    it('should wait for Retry-After on 429 responses', async () => {
+      const { client, waits } = createClient([429, 200], { 'retry-after': '3' });
+
+      await client.get('/api/v1/licenses/');
+
+      expect(waits).toEqual([3000]);
+    });
+
+    it('should give up after the configured retries and record the retry count', async () => {
+      const { client, calls } = createClient([500]);
+
+      const error = await client.get('/api/v1/licenses/').catch((e) => e);
+
+      expect(error.response.status).toBe(500);
+      expect(calls).toHaveLength(3);
+      expect(getRetryCount(error)).toBe(2);
+    });
+
+    it('should not retry non-idempotent requests by default', async () => {
+      const { client, calls } = createClient([503]);
+
+      const error = await client.post('/api/v1/licenses/', {}).catch((e) => e);
+
+      expect(calls).toEqual(['post']);
+      expect(getRetryCount(error)).toBe(0);
+    });
+  });
+});
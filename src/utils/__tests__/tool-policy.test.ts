@@ -0,0 +1,188 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { withNamePrefix } from '../namespace';
+import {
+  DEFAULT_TOOL_POLICY,
+  ToolNameCollector,
+  assertToolPatternsMatch,
+  describeToolPolicy,
+  globToRegExp,
+  isReadOnlyTool,
+  isToolPermitted,
+  parseToolPolicy,
+  withToolPolicy
+} from '../tool-policy';
+
+describe('Tool Policy Utils', () => {
+  describe('globToRegExp', () => {
+    it('should match * and ? and treat other characters literally', () => {
+      expect(globToRegExp('delete_*').test('delete_license')).toBe(true);
+      expect(globToRegExp('delete_*').test('undelete_license')).toBe(false);
+      expect(globToRegExp('get_?ode').test('get_code')).toBe(true);
+      expect(globToRegExp('list-licenses').test('list-licenses')).toBe(true);
+    });
+  });
+
+  describe('isReadOnlyTool', () => {
+    it('should treat list, get, check and export tools as read-only', () => {
+      expect(isReadOnlyTool('list_licenses')).toBe(true);
+      expect(isReadOnlyTool('check_license')).toBe(true);
+      expect(isReadOnlyTool('export_customers')).toBe(true);
+      expect(isReadOnlyTool('manage_management_api_cache')).toBe(true);
+      expect(isReadOnlyTool('query_audit_log')).toBe(true);
+    });
+
+    it('should not treat tools that change data as read-only', () => {
+      expect(isReadOnlyTool('delete_license')).toBe(false);
+      expect(isReadOnlyTool('bulk_disable_licenses')).toBe(false);
+      expect(isReadOnlyTool('get_trial_key')).toBe(false);
+    });
+  });
+
+  describe('parseToolPolicy', () => {
+    it('should permit every tool by default', () => {
+      expect(parseToolPolicy([], {})).toEqual(DEFAULT_TOOL_POLICY);
+      expect(describeToolPolicy(DEFAULT_TOOL_POLICY)).toBeUndefined();
+    });
+
+    it('should read flags before environment variables', () => {
+      const policy = parseToolPolicy(['--read-only', '--deny-tools', 'export_*'], { MCP_DENY_TOOLS: 'delete_*', MCP_ALLOW_TOOLS: 'list_*, get_*', MCP_TOOL_PROFILE: 'support' });
+
+      expect(policy).toEqual({ profile: 'support', readOnly: true, allow: ['list_*', 'get_*'], deny: ['export_*'] });
+      expect(describeToolPolicy(policy)).toBe('profile support; read-only mode; allow list_*, get_*; deny export_*');
+    });
+
+    it('should reject unknown profiles and invalid patterns', () => {
+      expect(() => parseToolPolicy(['--profile=ops'], {})).toThrow('Invalid tool profile "ops". Expected one of admin, support, sales');
+      expect(() => parseToolPolicy([], { MCP_DENY_TOOLS: 'delete.*' })).toThrow('Invalid tool pattern "delete.*" in MCP_DENY_TOOLS');
+    });
+
+    it('should reject tools that are allowed by name but excluded elsewhere', () => {
+      expect(() => parseToolPolicy(['--read-only', '--allow-tools=list_licenses,delete_license'], {}))
+        .toThrow('Tool "delete_license" is allowed but excluded by read-only mode');
+      expect(() => parseToolPolicy([], { MCP_TOOL_PROFILE: 'sales', MCP_ALLOW_TOOLS: 'delete_customer' }))
+        .toThrow('Tool "delete_customer" is allowed but excluded by profile sales');
+    });
+
+    it('should check tools allowed by their prefixed name', () => {
+      expect(() => parseToolPolicy(['--read-only', '--allow-tools=mgmt_list_licenses'], {}, ['license_', 'mgmt_'])).not.toThrow();
+      expect(() => parseToolPolicy(['--read-only', '--allow-tools=mgmt_delete_license'], {}, ['license_', 'mgmt_']))
+        .toThrow('Tool "mgmt_delete_license" is allowed but excluded by read-only mode');
+    });
+  });
+
+  describe('isToolPermitted', () => {
+    it('should only permit read-only tools in read-only mode', () => {
+      const policy = { ...DEFAULT_TOOL_POLICY, readOnly: true };
+
+      expect(isToolPermitted('get_license', policy)).toBe(true);
+      expect(isToolPermitted('delete_license', policy)).toBe(false);
+    });
+
+    it('should let deny patterns win over allow patterns', () => {
+      const policy = { ...DEFAULT_TOOL_POLICY, allow: ['*_license'], deny: ['delete_*'] };
+
+      expect(isToolPermitted('update_license', policy)).toBe(true);
+      expect(isToolPermitted('delete_license', policy)).toBe(false);
+      expect(isToolPermitted('list_customers', policy)).toBe(false);
+    });
+
+    it('should apply the profiles', () => {
+      const support = { ...DEFAULT_TOOL_POLICY, profile: 'support' };
+      const sales = { ...DEFAULT_TOOL_POLICY, profile: 'sales' };
+      const admin = { ...DEFAULT_TOOL_POLICY, profile: 'admin' };
+
+      expect(isToolPermitted('reset_license', support)).toBe(true);
+      expect(isToolPermitted('get_trial_key', support)).toBe(false);
+      expect(isToolPermitted('create_license', support)).toBe(false);
+      expect(isToolPermitted('create_license', sales)).toBe(true);
+      expect(isToolPermitted('get_trial_key', sales)).toBe(true);
+      expect(isToolPermitted('delete_customer', sales)).toBe(false);
+      expect(isToolPermitted('bulk_disable_licenses', sales)).toBe(false);
+      expect(isToolPermitted('bulk_disable_licenses', admin)).toBe(true);
+    });
+
+    it('should match allow and deny patterns with or without the prefix', () => {
+      const denyPrefixed = { ...DEFAULT_TOOL_POLICY, deny: ['mgmt_delete_*'] };
+      const allowPrefixed = { ...DEFAULT_TOOL_POLICY, allow: ['license_*'] };
+
+      expect(isToolPermitted('delete_license', denyPrefixed, 'mgmt_')).toBe(false);
+      expect(isToolPermitted('delete_license', denyPrefixed, 'license_')).toBe(true);
+      expect(isToolPermitted('delete_license', { ...DEFAULT_TOOL_POLICY, deny: ['delete_*'] }, 'mgmt_')).toBe(false);
+      expect(isToolPermitted('check_license', allowPrefixed, 'license_')).toBe(true);
+      expect(isToolPermitted('list_licenses', allowPrefixed, 'mgmt_')).toBe(false);
+    });
+  });
+
+  describe('assertToolPatternsMatch', () => {
+    const createServer = (policy: typeof DEFAULT_TOOL_POLICY) => (onTool: ToolNameCollector) => {
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      withToolPolicy(withNamePrefix(server, 'license_'), policy, { prefix: 'license_', onTool })
+        .registerTool('check_license', { description: 'Check license' }, async () => ({ content: [] }));
+      withToolPolicy(withNamePrefix(server, 'mgmt_'), policy, { prefix: 'mgmt_', onTool })
+        .registerTool('delete_license', { description: 'Delete license' }, async () => ({ content: [] }));
+      return server;
+    };
+
+    it('should accept patterns that match a tool with or without its prefix', () => {
+      const policy = { ...DEFAULT_TOOL_POLICY, allow: ['license_*', 'delete_license'], deny: ['mgmt_delete_*'] };
+
+      expect(() => assertToolPatternsMatch(policy, createServer(policy))).not.toThrow();
+    });
+
+    it('should reject patterns that match no tool', () => {
+      const typo = { ...DEFAULT_TOOL_POLICY, deny: ['delet_*'] };
+      const unknown = { ...DEFAULT_TOOL_POLICY, allow: ['license_list_*'] };
+
+      expect(() => assertToolPatternsMatch(typo, createServer(typo)))
+        .toThrow('Tool pattern "delet_*" in the deny list matches none of the registered tools');
+      expect(() => assertToolPatternsMatch(unknown, createServer(unknown)))
+        .toThrow('Tool pattern "license_list_*" in the allow list matches none of the registered tools');
+    });
+  });
+
+  describe('withToolPolicy', () => {
+    it('should not register tools the policy does not permit', async () => {
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      const filtered = withToolPolicy(withNamePrefix(server, 'mgmt_'), { ...DEFAULT_TOOL_POLICY, deny: ['delete_*'] });
+
+      filtered.registerTool('list_licenses', { description: 'List licenses' }, async () => ({ content: [] }));
+      filtered.registerTool('delete_license', { description: 'Delete license' }, async () => ({ content: [] }));
+      filtered.registerPrompt('customer-analysis', { description: 'Analyze' }, () => ({ messages: [] }));
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+
+      const { tools } = await client.listTools();
+      const { prompts } = await client.listPrompts();
+      expect(tools.map((tool) => tool.name)).toEqual(['mgmt_list_licenses']);
+      expect(prompts.map((prompt) => prompt.name)).toEqual(['mgmt_customer-analysis']);
+
+      await client.close();
+    });
+
+    it('should apply prefixed deny patterns in combined mode', async () => {
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      const policy = { ...DEFAULT_TOOL_POLICY, deny: ['mgmt_delete_*'] };
+      const license = withToolPolicy(withNamePrefix(server, 'license_'), policy, { prefix: 'license_' });
+      const management = withToolPolicy(withNamePrefix(server, 'mgmt_'), policy, { prefix: 'mgmt_' });
+
+      license.registerTool('delete_license', { description: 'Hypothetical' }, async () => ({ content: [] }));
+      management.registerTool('list_licenses', { description: 'List licenses' }, async () => ({ content: [] }));
+      management.registerTool('delete_license', { description: 'Delete license' }, async () => ({ content: [] }));
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+
+      const { tools } = await client.listTools();
+      expect(tools.map((tool) => tool.name)).toEqual(['license_delete_license', 'mgmt_list_licenses']);
+
+      await client.close();
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { HttpServerHandle, TransportOptions, isAuthorized, parseTransportOptions, startHttpServer } from '../transport';
+
+describe('Transport Utils', () => {
+  describe('parseTransportOptions', () => {
+    it('should default to stdio on localhost', () => {
+      expect(parseTransportOptions([], {})).toEqual({
+        transport: 'stdio',
+        host: '127.0.0.1',
+        port: 3000,
+        authToken: undefined,
+        sessionTimeoutMs: 1800000,
+        maxSessions: 100,
+      });
+    });
+
+    it('should read settings from environment variables', () => {
+      expect(parseTransportOptions([], {
+        MCP_TRANSPORT: 'http',
+        MCP_HOST: '0.0.0.0',
+        MCP_PORT: '8080',
+        MCP_AUTH_TOKEN: 'secret',
+        MCP_SESSION_TIMEOUT_SECONDS: '60',
+        MCP_MAX_SESSIONS: '5',
+      })).toEqual({
+        transport: 'http',
+        host: '0.0.0.0',
+        port: 8080,
+        authToken: 'secret',
+        sessionTimeoutMs: 60000,
+        maxSessions: 5,
+      });
+    });
+
+    it('should prefer CLI flags over environment variables', () => {
+      const options = parseTransportOptions(['--transport', 'sse', '--port=9000'], { MCP_TRANSPORT: 'http', MCP_PORT: '8080' });
+
+      expect(options.transport).toBe('sse');
+      expect(options.port).toBe(9000);
+    });
+
+    it('should reject unknown transports and invalid ports', () => {
+      expect(() => parseTransportOptions(['--transport', 'websocket'], {})).toThrow('Invalid transport');
+      expect(() => parseTransportOptions(['--port', 'abc'], {})).toThrow('Invalid port');
+      expect(() => parseTransportOptions([], { MCP_MAX_SESSIONS: '-1' })).toThrow('Invalid MCP_MAX_SESSIONS "-1"');
+    });
+
+    it('should require an auth token when listening on a public interface', () => {
+      expect(() => parseTransportOptions(['--transport', 'http', '--host', '0.0.0.0'], {}))
+        .toThrow('MCP_AUTH_TOKEN is required');
+    });
+  });
+
+  describe('isAuthorized', () => {
+    it('should allow every request when no token is configured', () => {
+      expect(isAuthorized(undefined, undefined)).toBe(true);
+    });
+
+    it('should require a matching bearer token', () => {
+      expect(isAuthorized('Bearer secret', 'secret')).toBe(true);
+      expect(isAuthorized('bearer secret', 'secret')).toBe(true);
+      expect(isAuthorized('Bearer wrong', 'secret')).toBe(false);
+      expect(isAuthorized('secret', 'secret')).toBe(false);
+      expect(isAuthorized(undefined, 'secret')).toBe(false);
+    });
+  });
+
+  describe('startHttpServer', () => {
+    let handle: HttpServerHandle;
+    let baseUrl: string;
+    let createdServers: number;
+
+    const createServer = () => {
+      createdServers++;
+      const server = new McpServer({ name: 'test-server', version: '1.0.0' });
+      server.registerTool('ping', { description: 'Ping' }, async () => ({
+        content: [{ type: 'text', text: 'pong' }],
+      }));
+      return server;
+    };
+
+    const initializeRequest = {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-03-26',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' },
+      },
+    };
+
+    const post = (body: unknown, headers: Record<string, string> = {}) => fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        'Authorization': 'Bearer secret',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const start = async (options: Partial<TransportOptions> = {}) => {
+      handle = await startHttpServer(createServer, { transport: 'http', host: '127.0.0.1', port: 0, authToken: 'secret', ...options });
+      const address = handle.server.address();
+      baseUrl = `http://127.0.0.1:${address && typeof address === 'object' ? address.port : 0}`;
+    };
+
+    const restart = async (options: Partial<TransportOptions>) => {
+      await handle.close();
+      await start(options);
+    };
+
+    beforeEach(async () => {
+      createdServers = 0;
+      await start();
+    });
+
+    afterEach(async () => {
+      await handle.close();
+    });
+
+    it('should serve an unauthenticated health check', async () => {
+      const response = await fetch(`${baseUrl}/healthz`);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ status: 'ok', transport: 'http', sessions: 0 });
+    });
+
+    it('should reject requests without a valid bearer token', async () => {
+      const response = await post(initializeRequest, { Authorization: 'Bearer wrong' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject non-initialize requests without a session', async () => {
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should create a separate MCP server per session', async () => {
+      const first = await post(initializeRequest);
+      const second = await post(initializeRequest);
+      await first.text();
+      await second.text();
+
+      const firstSession = first.headers.get('mcp-session-id');
+      const secondSession = second.headers.get('mcp-session-id');
+
+      expect(first.status).toBe(200);
+      expect(firstSession).toBeTruthy();
+      expect(secondSession).toBeTruthy();
+      expect(firstSession).not.toBe(secondSession);
+      expect(createdServers).toBe(2);
+      expect(handle.sessionCount()).toBe(2);
+    });
+
+    it('should route requests with a session ID to that session', async () => {
+      const init = await post(initializeRequest);
+      await init.text();
+      const sessionId = init.headers.get('mcp-session-id')!;
+
+      await (await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': sessionId })).text();
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toContain('"ping"');
+    });
+
+    it('should close sessions that stay idle', async () => {
+      await restart({ sessionTimeoutMs: 100 });
+      const init = await post(initializeRequest);
+      await init.text();
+      const sessionId = init.headers.get('mcp-session-id') ?? '';
+
+      expect(handle.sessionCount()).toBe(1);
+      await new Promise((resolve) => setTimeout(resolve, 400));
+
+      expect(handle.sessionCount()).toBe(0);
+      expect((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId })).status).toBe(404);
+    });
+
+    it('should keep sessions open while they receive requests', async () => {
+      await restart({ sessionTimeoutMs: 500 });
+      const init = await post(initializeRequest);
+      await init.text();
+      const sessionId = init.headers.get('mcp-session-id') ?? '';
+
+      for (let i = 0; i < 3; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        await (await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': sessionId })).text();
+      }
+
+      expect(handle.sessionCount()).toBe(1);
+    });
+
+    it('should refuse new sessions beyond the session limit', async () => {
+      await restart({ maxSessions: 1 });
+      await (await post(initializeRequest)).text();
+      const response = await post(initializeRequest);
+
+      expect(response.status).toBe(503);
+      expect(handle.sessionCount()).toBe(1);
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': 'missing' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
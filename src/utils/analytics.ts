@@ -0,0 +1,73 @@
+/**
+ * Compact summaries for LicenseSpring activity and usage analytics responses
+ */
+
+import { JsonRecord, isRecord } from './guards.js';
+
+export interface AnalyticsSummary {
+  records: number;
+  totals: Record<string, number>;
+  by_action?: Record<string, number>;
+  top?: Array<Record<string, unknown>>;
+}
+
+const IGNORED_NUMERIC_FIELDS = new Set(['id', 'license', 'customer', 'order', 'product', 'device']);
+const RANKING_FIELDS = ['call_count', 'total_call_count', 'count', 'total'];
+
+function getRows(data: unknown): JsonRecord[] {
+  const rows = Array.isArray(data) ? data : isRecord(data) && Array.isArray(data.results) ? data.results : [];
+  return rows.filter(isRecord);
+}
+
+function numberAt(row: JsonRecord, field: string): number {
+  const value = row[field];
+  return typeof value === 'number' ? value : 0;
+}
+
+/**
+ * Summarize an analytics payload into record count, numeric totals,
+ * per-action counts and the top entries by call count
+ */
+export function summarizeAnalytics(data: unknown, topN = 5): AnalyticsSummary {
+  const rows = getRows(data);
+  const summary: AnalyticsSummary = {
+    records: isRecord(data) && typeof data.count === 'number' ? data.count : rows.length,
+    totals: {},
+  };
+
+  // Endpoints such as total_call_count return a single object instead of a list
+  if (rows.length === 0 && isRecord(data)) {
+    for (const [key, value] of Object.entries(data)) {
+      if (typeof value === 'number' && key !== 'count') summary.totals[key] = value;
+    }
+    return summary;
+  }
+
+  const byAction: Record<string, number> = {};
+
+  for (const row of rows) {
+    for (const [key, value] of Object.entries(row)) {
+      if (typeof value === 'number' && !IGNORED_NUMERIC_FIELDS.has(key)) {
+        summary.totals[key] = (summary.totals[key] || 0) + value;
+      }
+    }
+
+    if (typeof row.action === 'string') {
+      const increment = RANKING_FIELDS.map((field) => row[field]).find((value): value is number => typeof value === 'number') ?? 1;
+      byAction[row.action] = (byAction[row.action] || 0) + increment;
+    }
+  }
+
+  if (Object.keys(byAction).length > 0) {
+    summary.by_action = byAction;
+  }
+
+  const rankingField = RANKING_FIELDS.find((field) => rows.some((row) => typeof row[field] === 'number'));
+  if (rankingField) {
+    summary.top = [...rows]
+      .sort((a, b) => numberAt(b, rankingField) - numberAt(a, rankingField))
+      .slice(0, topN);
+  }
+
+  return summary;
+}
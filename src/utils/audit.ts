@@ -0,0 +1,380 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { AxiosError, AxiosInstance, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { redactSecrets } from './redact.js';
+import { getRetryCount } from './retry.js';
+import { globToRegExp } from './tool-policy.js';
+
+export type AuditRotation = 'size' | 'daily';
+
+export interface AuditLogOptions {
+  enabled: boolean;
+  /** JSONL file that records are appended to */
+  file: string;
+  /** Start a new file when the current one would exceed maxBytes, or when the day changes */
+  rotate: AuditRotation;
+  maxBytes: number;
+  /** Number of rotated files that are kept next to the current one */
+  maxFiles: number;
+}
+
+export interface AuditEntry {
+  timestamp: string;
+  /** Identifies the tool call; a call that makes several requests writes one entry per request */
+  call_id: string;
+  tool: string;
+  api: 'license' | 'management';
+  method: string;
+  path: string;
+  /** HTTP status; null when no response was received */
+  status: number | null;
+  error?: string;
+  retries: number;
+  /** Tool arguments with secrets redacted and long values shortened */
+  args: unknown;
+  /** Entity ids taken from the request path and the tool arguments, by kind */
+  targets: Record<string, Array<string | number>>;
+  session_id: string | null;
+  client: { name: string; version: string } | null;
+}
+
+export interface AuditQuery {
+  /** Tool name or glob pattern */
+  tool?: string;
+  /** ISO date or timestamp; entries at or after it */
+  since?: string;
+  /** ISO date or timestamp; entries before it */
+  until?: string;
+  /** Entity id that must appear in the entry's targets */
+  target?: string;
+  session_id?: string;
+  method?: string;
+  /** Only entries whose request failed */
+  errors_only?: boolean;
+  limit?: number;
+}
+
+export interface AuditQueryResult {
+  count: number;
+  returned: number;
+  /** Newest first */
+  entries: AuditEntry[];
+}
+
+interface AuditContext {
+  log: AuditLog;
+  callId: string;
+  tool: string;
+  args: unknown;
+  sessionId: string | null;
+  client: { name: string; version: string } | null;
+}
+
+type AuditedRequestConfig = InternalAxiosRequestConfig & { auditRecorded?: boolean };
+
+export const DEFAULT_AUDIT_LOG_OPTIONS: AuditLogOptions = {
+  enabled: false,
+  file: path.join(os.homedir(), '.licensespring-mcp', 'audit.jsonl'),
+  rotate: 'size',
+  maxBytes: 10 * 1024 * 1024,
+  maxFiles: 5,
+};
+
+const MAX_ARGUMENT_LENGTH = 500;
+const DEFAULT_QUERY_LIMIT = 100;
+
+// Tool calls in progress, so HTTP requests can be attributed to the tool that made them
+const auditContext = new AsyncLocalStorage<AuditContext>();
+
+function readInteger(value: string | undefined, fallback: number, name: string): number {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${name} "${value}". Expected a non-negative integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Resolve audit log settings from environment variables
+ * AUDIT_LOG_ENABLED (false by default, the log holds customer data from tool arguments), AUDIT_LOG_FILE, AUDIT_LOG_ROTATE (size or daily),
+ * AUDIT_LOG_MAX_BYTES, AUDIT_LOG_MAX_FILES
+ */
+export function parseAuditLogOptions(env: Record<string, string | undefined> = process.env): AuditLogOptions {
+  const rotate = env.AUDIT_LOG_ROTATE || DEFAULT_AUDIT_LOG_OPTIONS.rotate;
+  if (rotate !== 'size' && rotate !== 'daily') {
+    throw new Error(`Invalid AUDIT_LOG_ROTATE "${rotate}". Expected size or daily`);
+  }
+
+  const maxBytes = readInteger(env.AUDIT_LOG_MAX_BYTES, DEFAULT_AUDIT_LOG_OPTIONS.maxBytes, 'AUDIT_LOG_MAX_BYTES');
+  if (maxBytes === 0) {
+    throw new Error('Invalid AUDIT_LOG_MAX_BYTES "0". Expected a positive integer');
+  }
+
+  // Shells expand ~ in command lines but not in .env files or MCP client configs
+  const file = env.AUDIT_LOG_FILE?.replace(/^~(?=\/|$)/, os.homedir());
+
+  return {
+    enabled: env.AUDIT_LOG_ENABLED === 'true',
+    file: path.resolve(file || DEFAULT_AUDIT_LOG_OPTIONS.file),
+    rotate,
+    maxBytes,
+    maxFiles: readInteger(env.AUDIT_LOG_MAX_FILES, DEFAULT_AUDIT_LOG_OPTIONS.maxFiles, 'AUDIT_LOG_MAX_FILES'),
+  };
+}
+
+/**
+ * Redact secrets and shorten long values such as CSV contents, which would bloat the log
+ */
+function summarizeArgs(args: unknown): unknown {
+  const shorten = (value: unknown): unknown => {
+    if (typeof value === 'string' && value.length > MAX_ARGUMENT_LENGTH) {
+      return `${value.slice(0, MAX_ARGUMENT_LENGTH)}... [${value.length} characters]`;
+    }
+    if (Array.isArray(value)) return value.map(shorten);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, shorten(nested)]));
+    }
+    return value;
+  };
+
+  return shorten(redactSecrets(args));
+}
+
+/**
+ * Collect the ids of the entities a request touches:
+ * numeric path segments (licenses/12 gives licenses: [12]) and id-like tool arguments
+ * (id, *_id, *_ids, license_key, hardware_id and the ids of arrays of records)
+ */
+export function extractTargets(requestPath: string, args: unknown): Record<string, Array<string | number>> {
+  const targets: Record<string, Array<string | number>> = {};
+  const add = (kind: string, value: unknown) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return;
+    targets[kind] = targets[kind] ?? [];
+    if (!targets[kind].includes(value)) targets[kind].push(value);
+  };
+
+  for (const match of requestPath.split('?')[0].matchAll(/\/([a-z_-]+)\/(\d+)(?=\/|$)/g)) {
+    add(match[1], Number(match[2]));
+  }
+
+  if (args && typeof args === 'object' && !Array.isArray(args)) {
+    for (const [key, value] of Object.entries(args)) {
+      if (key === 'id' || key.endsWith('_id') || key === 'license_key' || key === 'hardware_id') {
+        add(key, value);
+      } else if (Array.isArray(value)) {
+        if (key.endsWith('_ids')) value.forEach((item) => add(key, item));
+        else value.forEach((item) => add(`${key}.id`, item?.id));
+      }
+    }
+  }
+
+  return targets;
+}
+
+function toTime(value: string, name: string): number {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} "${value}". Expected an ISO date or timestamp`);
+  }
+  return time;
+}
+
+/**
+ * Append-only JSONL log of the requests made by tool calls, with rotation by size or date
+ */
+export class AuditLog {
+  constructor(
+    readonly options: AuditLogOptions = DEFAULT_AUDIT_LOG_OPTIONS,
+    private now: () => number = Date.now
+  ) {}
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  append(entry: AuditEntry): void {
+    if (!this.enabled) return;
+
+    const line = `${JSON.stringify(entry)}\n`;
+    fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+    this.rotate(Buffer.byteLength(line));
+    fs.appendFileSync(this.options.file, line, { mode: 0o600 });
+  }
+
+  /**
+   * Read matching entries from the current and the rotated files, newest first
+   */
+  query(filter: AuditQuery = {}): AuditQueryResult {
+    const since = filter.since ? toTime(filter.since, 'since') : undefined;
+    const until = filter.until ? toTime(filter.until, 'until') : undefined;
+    const toolPattern = filter.tool ? globToRegExp(filter.tool) : undefined;
+    const limit = filter.limit ?? DEFAULT_QUERY_LIMIT;
+    const target = filter.target;
+
+    const matches = this.readEntries().filter((entry) => {
+      const time = Date.parse(entry.timestamp);
+      if (since !== undefined && time < since) return false;
+      if (until !== undefined && time >= until) return false;
+      if (toolPattern && !toolPattern.test(entry.tool)) return false;
+      if (filter.session_id && entry.session_id !== filter.session_id) return false;
+      if (filter.method && entry.method !== filter.method.toUpperCase()) return false;
+      if (filter.errors_only && entry.status !== null && entry.status < 400) return false;
+      if (target && !Object.values(entry.targets ?? {}).some((ids) => ids.map(String).includes(target))) return false;
+      return true;
+    });
+
+    const entries = matches.reverse().slice(0, limit);
+    return { count: matches.length, returned: entries.length, entries };
+  }
+
+  /**
+   * Rotated files, oldest first; their names end with the date or time they were rotated
+   */
+  private rotatedFiles(): string[] {
+    const directory = path.dirname(this.options.file);
+    const prefix = `${path.basename(this.options.file)}.`;
+    if (!fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory)
+      .filter((name) => name.startsWith(prefix))
+      .sort()
+      .map((name) => path.join(directory, name));
+  }
+
+  private readEntries(): AuditEntry[] {
+    const files = [...this.rotatedFiles(), this.options.file].filter((file) => fs.existsSync(file));
+    const entries: AuditEntry[] = [];
+
+    for (const file of files) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // Skip lines that were cut short, e.g. by a full disk
+        }
+      }
+    }
+
+    return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  private rotate(incomingBytes: number): void {
+    if (!fs.existsSync(this.options.file)) return;
+
+    const stats = fs.statSync(this.options.file);
+    const today = new Date(this.now()).toISOString().slice(0, 10);
+    const fileDay = stats.mtime.toISOString().slice(0, 10);
+
+    let suffix: string | undefined;
+    if (this.options.rotate === 'daily' && fileDay !== today && stats.size > 0) {
+      suffix = fileDay;
+    } else if (this.options.rotate === 'size' && stats.size > 0 && stats.size + incomingBytes > this.options.maxBytes) {
+      suffix = new Date(this.now()).toISOString().replace(/[:.]/g, '');
+    }
+    if (!suffix) return;
+
+    let target = `${this.options.file}.${suffix}`;
+    for (let counter = 1; fs.existsSync(target); counter++) {
+      target = `${this.options.file}.${suffix}-${counter}`;
+    }
+    fs.renameSync(this.options.file, target);
+
+    const rotated = this.rotatedFiles();
+    rotated.slice(0, Math.max(0, rotated.length - this.options.maxFiles)).forEach((file) => fs.unlinkSync(file));
+  }
+}
+
+/**
+ * Wrap an MCP server so that every tool call runs in an audit context,
+ * which attributes the requests made during the call to the tool, its arguments and the MCP session
+ */
+export function withAuditLog(server: McpServer, log: AuditLog): McpServer {
+  if (!log.enabled) return server;
+
+  return new Proxy(server, {
+    get(target, property) {
+      if (property === 'registerTool') {
+        return (name: string, config: unknown, handler: (...handlerArgs: unknown[]) => unknown) => {
+          const auditedHandler = (...handlerArgs: unknown[]) => {
+            // Tools with an input schema receive (args, extra), tools without one only (extra)
+            const extra = handlerArgs[handlerArgs.length - 1];
+            const sessionId = extra && typeof extra === 'object' && 'sessionId' in extra ? extra.sessionId : undefined;
+            const client = target.server.getClientVersion();
+
+            return auditContext.run({
+              log,
+              callId: crypto.randomUUID(),
+              tool: name,
+              args: handlerArgs.length > 1 ? handlerArgs[0] : {},
+              sessionId: typeof sessionId === 'string' ? sessionId : null,
+              client: client ? { name: client.name, version: client.version } : null,
+            }, () => handler(...handlerArgs));
+          };
+          return Reflect.apply(target.registerTool, target, [name, config, auditedHandler]);
+        };
+      }
+      const value = Reflect.get(target, property, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
+
+function describeError(error: AxiosError): string {
+  const data = error.response?.data as Record<string, unknown> | undefined;
+  const message = data && typeof data === 'object' ? data.message ?? data.detail ?? data.error : undefined;
+  return typeof message === 'string' ? message : error.message;
+}
+
+function record(api: AuditEntry['api'], config: AuditedRequestConfig | undefined, response?: AxiosResponse, error?: AxiosError): void {
+  const context = auditContext.getStore();
+  const method = (config?.method ?? 'get').toUpperCase();
+  if (!context || !config || method === 'GET' || config.auditRecorded) return;
+
+  // A retry goes through the interceptors again with the same config, so the final attempt is recorded and the outer pass skipped
+  config.auditRecorded = true;
+  const requestPath = config.url ?? '';
+
+  try {
+    context.log.append({
+      timestamp: new Date().toISOString(),
+      call_id: context.callId,
+      tool: context.tool,
+      api,
+      method,
+      path: requestPath,
+      status: response?.status ?? error?.response?.status ?? null,
+      ...(error && { error: describeError(error) }),
+      retries: getRetryCount(error ?? response),
+      args: summarizeArgs(context.args),
+      targets: extractTargets(requestPath, context.args),
+      session_id: context.sessionId,
+      client: context.client,
+    });
+  } catch (writeError) {
+    // A failing audit log must not fail the tool call
+    console.error('⚠️  Could not write audit log entry:', writeError instanceof Error ? writeError.message : String(writeError));
+  }
+}
+
+/**
+ * Record every non-GET request made during an audited tool call
+ * Register after the retry interceptor, so each request is recorded once with its final status
+ */
+export function attachAuditInterceptor(client: AxiosInstance, api: AuditEntry['api']): void {
+  client.interceptors.response.use(
+    (response) => {
+      record(api, response.config, response);
+      return response;
+    },
+    (error: AxiosError) => {
+      record(api, error.config, undefined, error);
+      throw error;
+    }
+  );
+}
@@ -0,0 +1,228 @@
+import { AxiosRequestConfig, AxiosResponse } from 'axios';
+
+export interface CacheRule {
+  /** Name used to group entries when inspecting or flushing the cache */
+  tag: string;
+  /** GET paths whose responses may be cached */
+  cacheable: RegExp;
+  /** Paths whose POST, PUT, PATCH or DELETE requests invalidate this tag */
+  invalidatedBy?: RegExp;
+}
+
+export interface CachedRequestConfig extends AxiosRequestConfig {
+  /** Load from the API even when a cached response exists, e.g. for the "before" state of a dry run */
+  skipCache?: boolean;
+}
+
+export interface CacheOptions {
+  /** Time to live for each entry; 0 disables the cache */
+  ttlSeconds: number;
+  maxEntries: number;
+}
+
+export interface CacheStats {
+  enabled: boolean;
+  ttl_seconds: number;
+  max_entries: number;
+  size: number;
+  hits: number;
+  misses: number;
+  entries: Array<{ key: string; tag: string; hits: number; expires_in_seconds: number }>;
+}
+
+interface CacheEntry {
+  tag: string;
+  response: AxiosResponse;
+  expiresAt: number;
+  hits: number;
+}
+
+export const DEFAULT_CACHE_OPTIONS: CacheOptions = {
+  ttlSeconds: 60,
+  maxEntries: 500,
+};
+
+export const LICENSE_API_CACHE_RULES: CacheRule[] = [
+  {
+    tag: 'product_details',
+    // Product settings only change through the Management API or the web console;
+    // in combined mode Management API changes are forwarded with forwardInvalidations
+    cacheable: /^\/api\/v4\/product_details\/?$/,
+    invalidatedBy: /^\/api\/v1\/(products|product-features|product-custom-fields)\//,
+  },
+];
+
+export const MANAGEMENT_API_CACHE_RULES: CacheRule[] = [
+  {
+    tag: 'products',
+    cacheable: /^\/api\/v1\/products\/(\d+\/)?$/,
+    invalidatedBy: /^\/api\/v1\/(products|product-features|product-custom-fields)\//,
+  },
+  {
+    tag: 'customers',
+    cacheable: /^\/api\/v1\/customers\/(\d+\/)?$/,
+    // Licenses and orders can create customers, and labels and accounts are embedded in customer records
+    invalidatedBy: /^\/api\/v1\/(customers|customer-accounts|clabels|customerclabels|licenses|orders)\//,
+  },
+];
+
+/**
+ * Resolve cache settings from environment variables
+ * CACHE_TTL_SECONDS (0 disables the cache), CACHE_MAX_ENTRIES
+ */
+export function parseCacheOptions(env: Record<string, string | undefined> = process.env): CacheOptions {
+  const read = (name: string, fallback: number) => {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new Error(`Invalid ${name} "${value}". Expected a non-negative integer`);
+    }
+    return parsed;
+  };
+
+  return {
+    ttlSeconds: read('CACHE_TTL_SECONDS', DEFAULT_CACHE_OPTIONS.ttlSeconds),
+    maxEntries: read('CACHE_MAX_ENTRIES', DEFAULT_CACHE_OPTIONS.maxEntries),
+  };
+}
+
+function pathOf(url: string): string {
+  return url.split('?')[0];
+}
+
+// Callers get their own copy of the data so a cached entry cannot be modified through a response
+function cloneResponse<T>(response: AxiosResponse<T>): AxiosResponse<T> {
+  return { ...response, data: JSON.parse(JSON.stringify(response.data ?? null)) };
+}
+
+/**
+ * TTL cache for whitelisted GET responses
+ * Entries are grouped by tag and invalidated when a mutating request touches a related path
+ * Each tag has a generation that invalidation bumps, so a GET that was in flight during a change is not stored
+ */
+export class ResponseCache {
+  private entries = new Map<string, CacheEntry>();
+  private generations = new Map<string, number>();
+  private followers: ResponseCache[] = [];
+  private hits = 0;
+  private misses = 0;
+
+  constructor(
+    private rules: CacheRule[],
+    private options: CacheOptions = DEFAULT_CACHE_OPTIONS,
+    private now: () => number = Date.now
+  ) {}
+
+  get enabled(): boolean {
+    return this.options.ttlSeconds > 0 && this.options.maxEntries > 0;
+  }
+
+  /**
+   * Return a cached response for a whitelisted GET, loading and storing it on a miss
+   */
+  async fetch<T>(url: string, config: CachedRequestConfig | undefined, load: () => Promise<AxiosResponse<T>>): Promise<AxiosResponse<T>> {
+    const rule = this.enabled ? this.rules.find((candidate) => candidate.cacheable.test(pathOf(url))) : undefined;
+    if (!rule) {
+      return load();
+    }
+
+    const key = config?.params ? `${url} ${JSON.stringify(config.params)}` : url;
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > this.now() && !config?.skipCache) {
+      entry.hits++;
+      this.hits++;
+      return cloneResponse(entry.response);
+    }
+
+    this.misses++;
+    const generation = this.generationOf(rule.tag);
+    const response = await load();
+    if (this.generationOf(rule.tag) !== generation) {
+      // The tag was invalidated while the request was in flight, so the response may predate the change
+      return cloneResponse(response);
+    }
+    this.entries.delete(key);
+    this.entries.set(key, { tag: rule.tag, response, expiresAt: this.now() + this.options.ttlSeconds * 1000, hits: 0 });
+    this.evict();
+    return cloneResponse(response);
+  }
+
+  /**
+   * Drop the entries related to a path that was just modified, here and in the caches that follow this one
+   * Returns the invalidated tags of this cache
+   */
+  invalidate(url: string): string[] {
+    const path = pathOf(url);
+    const tags = this.rules.filter((rule) => rule.invalidatedBy?.test(path)).map((rule) => rule.tag);
+    tags.forEach((tag) => this.flush(tag));
+    this.followers.forEach((follower) => follower.invalidate(url));
+    return tags;
+  }
+
+  /**
+   * Also apply the invalidations of this cache to another one, e.g. Management API product changes
+   * to cached License API product details when both APIs are served together
+   */
+  forwardInvalidations(follower: ResponseCache): void {
+    this.followers.push(follower);
+  }
+
+  /**
+   * Remove all entries, or only those with the given tag
+   * Returns the number of removed entries
+   */
+  flush(tag?: string): number {
+    for (const rule of this.rules) {
+      if (!tag || rule.tag === tag) this.generations.set(rule.tag, this.generationOf(rule.tag) + 1);
+    }
+
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!tag || entry.tag === tag) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  stats(): CacheStats {
+    this.evict();
+    const now = this.now();
+
+    return {
+      enabled: this.enabled,
+      ttl_seconds: this.options.ttlSeconds,
+      max_entries: this.options.maxEntries,
+      size: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      entries: [...this.entries].map(([key, entry]) => ({
+        key,
+        tag: entry.tag,
+        hits: entry.hits,
+        expires_in_seconds: Math.ceil((entry.expiresAt - now) / 1000),
+      })),
+    };
+  }
+
+  private generationOf(tag: string): number {
+    return this.generations.get(tag) ?? 0;
+  }
+
+  /**
+   * Remove expired entries and, when over capacity, the oldest ones
+   */
+  private evict(): void {
+    const now = this.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+
+    while (this.entries.size > this.options.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+}
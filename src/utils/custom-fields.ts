@@ -0,0 +1,70 @@
+/**
+ * Merge LicenseSpring license custom field values with their product defaults
+ */
+
+import { JsonRecord, isRecord } from './guards.js';
+
+export type CustomFieldValue = string | number | boolean | null;
+
+export interface EffectiveCustomField {
+  product_custom_field: number;
+  name: string;
+  data_type?: string;
+  value: CustomFieldValue;
+  default_value: CustomFieldValue;
+  source: 'license' | 'product_default';
+  license_custom_field?: number;
+}
+
+function getId(value: unknown): number | undefined {
+  if (typeof value === 'number') return value;
+  if (isRecord(value) && typeof value.id === 'number') return value.id;
+  return undefined;
+}
+
+function getRows(data: unknown): JsonRecord[] {
+  const rows = Array.isArray(data) ? data : isRecord(data) && Array.isArray(data.results) ? data.results : [];
+  return rows.filter(isRecord);
+}
+
+function getValue(value: unknown): CustomFieldValue {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' ? value : null;
+}
+
+/**
+ * Resolve the effective custom field values of a license
+ * License-level values override the product field's default_value
+ */
+export function mergeCustomFields(productFields: unknown, licenseFields: unknown): EffectiveCustomField[] {
+  const overrides = new Map<number, JsonRecord>();
+  for (const licenseField of getRows(licenseFields)) {
+    const productFieldId = getId(licenseField.product_custom_field);
+    if (productFieldId !== undefined) overrides.set(productFieldId, licenseField);
+  }
+
+  return getRows(productFields).flatMap((productField) => {
+    const productFieldId = getId(productField);
+    if (productFieldId === undefined) return [];
+
+    const override = overrides.get(productFieldId);
+    const defaultValue = getValue(productField.default_value);
+    const licenseFieldId = getId(override);
+
+    return [{
+      product_custom_field: productFieldId,
+      name: String(productField.name ?? ''),
+      ...(typeof productField.data_type === 'string' && { data_type: productField.data_type }),
+      value: override ? getValue(override.value) : defaultValue,
+      default_value: defaultValue,
+      source: override ? 'license' : 'product_default',
+      ...(licenseFieldId !== undefined && { license_custom_field: licenseFieldId }),
+    }];
+  });
+}
+
+/**
+ * Extract the product ID from a license payload, where product may be an ID or a nested object
+ */
+export function getLicenseProductId(license: unknown): number | undefined {
+  return isRecord(license) ? getId(license.product) : undefined;
+}
@@ -0,0 +1,136 @@
+import { randomBytes } from 'crypto';
+import { z } from 'zod';
+
+/** How long a dry-run confirmation token can be used */
+export const DEFAULT_CONFIRMATION_TTL_SECONDS = 300;
+
+export interface FieldChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface RecordChange {
+  id: number;
+  /** Current state of the record; null when it could not be fetched */
+  before: Record<string, unknown> | null;
+  /** State after the call; null when the record is deleted */
+  after: Record<string, unknown> | null;
+  /** Fields that change; every field of a deleted record is listed */
+  diff: FieldChange[];
+  /** Why the current state could not be fetched */
+  error?: string;
+}
+
+export interface DryRunPreview {
+  dry_run: true;
+  tool: string;
+  changes: RecordChange[];
+  /** Pass back as confirmation_token, with the same arguments, to make the changes */
+  confirmation_token: string;
+  expires_at: string;
+  message: string;
+}
+
+// Options shared by the tools that preview their changes before making them
+export const dryRunInputSchema = {
+  dry_run: z.boolean().optional().default(false).describe('Preview the changes without making them and get a confirmation token'),
+  confirmation_token: z.string().optional().describe('Token from a dry run with the same arguments; required to make the changes'),
+};
+
+interface PendingConfirmation {
+  tool: string;
+  fingerprint: string;
+  expiresAt: number;
+}
+
+/**
+ * Serialize arguments with sorted keys, so the same arguments always give the same fingerprint
+ */
+function fingerprint(value: unknown): string {
+  return JSON.stringify(value, (_key, item) => (
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.entries(item).filter(([, field]) => field !== undefined).sort(([a], [b]) => a.localeCompare(b)))
+      : item
+  ));
+}
+
+/**
+ * List the fields whose values differ between two states of a record
+ */
+export function diffFields(before: Record<string, unknown> | null, after: Record<string, unknown> | null): FieldChange[] {
+  const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+
+  return [...fields]
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map((field) => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+}
+
+/**
+ * Describe how a call changes a record; pass null as after for deletes
+ */
+export function describeChange(id: number, before: Record<string, unknown>, after: Record<string, unknown> | null): RecordChange {
+  return { id, before, after, diff: diffFields(before, after) };
+}
+
+/**
+ * Single-use confirmation tokens issued by dry runs
+ * A token only confirms the tool and arguments it was issued for, and expires after ttlSeconds
+ */
+export class ConfirmationStore {
+  private pending = new Map<string, PendingConfirmation>();
+
+  constructor(
+    private ttlSeconds: number = DEFAULT_CONFIRMATION_TTL_SECONDS,
+    private now: () => number = Date.now
+  ) {}
+
+  /**
+   * Build a dry-run result with a new confirmation token for the given tool and arguments
+   */
+  preview(tool: string, args: unknown, changes: RecordChange[]): DryRunPreview {
+    this.prune();
+
+    const token = randomBytes(16).toString('hex');
+    const expiresAt = this.now() + this.ttlSeconds * 1000;
+    this.pending.set(token, { tool, fingerprint: fingerprint(args), expiresAt });
+
+    return {
+      dry_run: true,
+      tool,
+      changes,
+      confirmation_token: token,
+      expires_at: new Date(expiresAt).toISOString(),
+      message: `Nothing was changed. Call ${tool} again with the same arguments and this confirmation_token within ${this.ttlSeconds} seconds to apply the changes`,
+    };
+  }
+
+  /**
+   * Use up a confirmation token
+   * Returns undefined when the call is confirmed, or the reason it is not
+   */
+  redeem(token: string | undefined, tool: string, args: unknown): string | undefined {
+    if (!token) {
+      return `${tool} requires confirmation. Call it with dry_run: true to preview the changes, then pass the returned confirmation_token`;
+    }
+
+    this.prune();
+    const confirmation = this.pending.get(token);
+    if (!confirmation) {
+      return 'The confirmation token is invalid, was already used or has expired. Run a new dry run';
+    }
+    if (confirmation.tool !== tool || confirmation.fingerprint !== fingerprint(args)) {
+      return 'The confirmation token was issued for a different call. Run a new dry run with these arguments';
+    }
+
+    this.pending.delete(token);
+    return undefined;
+  }
+
+  private prune(): void {
+    const now = this.now();
+    for (const [token, confirmation] of this.pending) {
+      if (confirmation.expiresAt <= now) this.pending.delete(token);
+    }
+  }
+}
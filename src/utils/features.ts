@@ -0,0 +1,52 @@
+/**
+ * Validation for LicenseSpring product feature settings
+ */
+
+export type FeatureType = 'activation' | 'consumption';
+
+export interface ProductFeatureSettings {
+  feature_type?: FeatureType;
+  max_consumption?: number;
+  allow_overages?: boolean;
+  max_overages?: number;
+  reset_consumption?: boolean;
+  consumption_period?: string;
+}
+
+const CONSUMPTION_ONLY_FIELDS: Array<keyof ProductFeatureSettings> = [
+  'max_consumption',
+  'allow_overages',
+  'max_overages',
+  'reset_consumption',
+  'consumption_period',
+];
+
+/**
+ * Check that consumption settings match the feature type
+ * Returns a list of validation errors, empty when the settings are valid
+ */
+export function validateProductFeature(settings: ProductFeatureSettings, isCreate = false): string[] {
+  const errors: string[] = [];
+
+  if (settings.feature_type === 'activation') {
+    const invalidFields = CONSUMPTION_ONLY_FIELDS.filter((field) => settings[field] !== undefined);
+    if (invalidFields.length > 0) {
+      errors.push(`Activation features do not support consumption settings: ${invalidFields.join(', ')}`);
+    }
+    return errors;
+  }
+
+  if (settings.feature_type === 'consumption' && isCreate && settings.max_consumption === undefined) {
+    errors.push('max_consumption is required for consumption features');
+  }
+
+  if (settings.max_overages !== undefined && settings.allow_overages !== true) {
+    errors.push('max_overages can only be set when allow_overages is true');
+  }
+
+  if (settings.consumption_period !== undefined && settings.reset_consumption !== true) {
+    errors.push('consumption_period can only be set when reset_consumption is true');
+  }
+
+  return errors;
+}
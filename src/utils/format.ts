@@ -0,0 +1,304 @@
+import { z } from 'zod';
+import { JsonRecord, isRecord } from './guards.js';
+
+export const RESPONSE_FORMATS = ['full', 'compact', 'markdown', 'csv'] as const;
+
+export type ResponseFormat = typeof RESPONSE_FORMATS[number];
+
+export interface FormatOptions {
+  /** Field paths to keep; dot paths select nested values (e.g. customer.email) */
+  fields?: string[];
+  format?: ResponseFormat;
+}
+
+/**
+ * What a compact, markdown or csv response contains, for structured content in place of the records
+ */
+export interface ResponseSummary {
+  /** Records included in the response */
+  returned: number;
+  /** Total records matching the request, when the response is a page */
+  count?: number;
+  /** Cursor for the next page, when more records exist */
+  next_cursor?: string;
+}
+
+export interface FormattedResponse {
+  /** Text shown to the client in the requested format */
+  text: string;
+  /** Response data reduced to the requested fields */
+  data: unknown;
+}
+
+// Options shared by the list and get tools that return LicenseSpring records
+export const formatInputSchema = {
+  fields: z.array(z.string().min(1)).optional().describe('Only return these fields; use dot paths for nested values (e.g. ["license_key", "customer.email"])'),
+  format: z.enum(RESPONSE_FORMATS).optional().default('full').describe('full: JSON, compact: one line per record, markdown: table, csv: comma-separated values'),
+};
+
+type FieldTree = Map<string, FieldTree | null>;
+
+// Fields tried in order to name a record in compact summaries
+const LABEL_FIELDS = ['license_key', 'email', 'product_name', 'name', 'label', 'variable', 'hardware_id', 'version', 'store_id', 'code'];
+
+function isPage(value: unknown): value is JsonRecord & { results: unknown[] } {
+  return isRecord(value) && Array.isArray(value.results);
+}
+
+function isScalar(value: unknown): boolean {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Build a tree of the requested paths; a null node keeps the whole value
+ */
+function buildFieldTree(fields: string[]): FieldTree {
+  const root: FieldTree = new Map();
+
+  for (const field of fields) {
+    const parts = field.split('.');
+    let node = root;
+    for (let i = 0; i < parts.length; i++) {
+      if (i === parts.length - 1) {
+        node.set(parts[i], null);
+        break;
+      }
+      const child = node.get(parts[i]);
+      if (child === null) break;
+      const next: FieldTree = child ?? new Map();
+      node.set(parts[i], next);
+      node = next;
+    }
+  }
+
+  return root;
+}
+
+function pick(value: unknown, tree: FieldTree): unknown {
+  if (Array.isArray(value)) {
+    return value.map((item) => pick(item, tree));
+  }
+  if (!isRecord(value)) {
+    return value;
+  }
+
+  const picked: JsonRecord = {};
+  for (const [key, subtree] of tree) {
+    if (key in value) {
+      picked[key] = subtree ? pick(value[key], subtree) : value[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Read a dot path from a record; arrays along the path yield one value per item
+ */
+export function getPath(record: unknown, path: string): unknown {
+  return path.split('.').reduce<unknown>((value, key) => {
+    if (Array.isArray(value)) return value.map((item) => (isRecord(item) ? item[key] : undefined));
+    return isRecord(value) ? value[key] : undefined;
+  }, record);
+}
+
+/**
+ * Keep only the requested fields of a record, a list or the records of a page
+ * Page metadata (count, next, next_cursor, ...) is preserved
+ */
+export function projectFields(data: unknown, fields?: string[]): unknown {
+  if (!fields || fields.length === 0) {
+    return data;
+  }
+
+  const tree = buildFieldTree(fields);
+  if (isPage(data)) {
+    return { ...data, results: pick(data.results, tree) };
+  }
+  return pick(data, tree);
+}
+
+/**
+ * The records of a response: the items of a list or page, or the response itself
+ */
+export function extractRecords(data: unknown): unknown[] {
+  if (Array.isArray(data)) return data;
+  if (isPage(data)) return data.results;
+  return data === null || data === undefined ? [] : [data];
+}
+
+function describeStatus(record: JsonRecord): string | undefined {
+  let status: string | undefined;
+  const enabled = record.enabled ?? record.license_enabled;
+  const active = record.active ?? record.license_active ?? record.is_active;
+
+  if (record.blacklisted === true) status = 'blacklisted';
+  else if (record.is_archived === true) status = 'archived';
+  else if (record.is_expired === true) status = 'expired';
+  else if (enabled === false) status = 'disabled';
+  else if (active === true) status = 'active';
+  else if (active === false) status = 'inactive';
+  else if (enabled === true) status = 'enabled';
+
+  if (record.is_trial === true) {
+    status = status ? `${status} (trial)` : 'trial';
+  }
+  return status;
+}
+
+function formatDate(value: unknown): string {
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}T/.test(text) ? text.slice(0, 10) : text;
+}
+
+function formatCell(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * One-line summary of a record, e.g. "#12 | AAAA-BBBB | active | expires 2025-01-31 | activations 1/3"
+ * With fields, the summary lists the values of those fields instead
+ */
+export function summarizeRecord(record: unknown, fields?: string[]): string {
+  if (!isRecord(record)) {
+    return formatCell(record);
+  }
+  if (fields && fields.length > 0) {
+    return fields.map((field) => formatCell(getPath(record, field))).join(' | ');
+  }
+
+  const parts: string[] = [];
+  if (record.id !== undefined && record.id !== null) parts.push(`#${record.id}`);
+
+  const labelField = LABEL_FIELDS.find((field) => isScalar(record[field]) && record[field] !== null && record[field] !== '');
+  if (labelField) {
+    parts.push(record.value !== undefined ? `${record[labelField]}=${formatCell(record.value)}` : String(record[labelField]));
+  }
+
+  const fullName = [record.first_name, record.last_name].filter(Boolean).join(' ');
+  if (fullName) parts.push(fullName);
+  if (record.company_name) parts.push(String(record.company_name));
+  if (record.product_name && record.short_code) parts.push(String(record.short_code));
+
+  const status = describeStatus(record);
+  if (status) parts.push(status);
+
+  const expiry = record.validity_period ?? record.expiry_date;
+  if (expiry) parts.push(`expires ${formatDate(expiry)}`);
+
+  if (typeof record.max_activations === 'number' || typeof record.times_activated === 'number') {
+    parts.push(`activations ${record.times_activated ?? 0}/${record.max_activations ?? '-'}`);
+  }
+  if (typeof record.max_consumptions === 'number' && record.max_consumptions > 0) {
+    parts.push(`consumptions ${record.total_consumptions ?? 0}/${record.max_consumptions}`);
+  }
+
+  if (parts.length <= 1) {
+    // Unknown record type: fall back to its first few scalar fields
+    const scalars = Object.entries(record)
+      .filter(([key, value]) => key !== 'id' && isScalar(value) && value !== null && value !== '')
+      .slice(0, 4)
+      .map(([key, value]) => `${key}=${value}`);
+    parts.push(...scalars);
+  }
+
+  return parts.join(' | ');
+}
+
+/**
+ * Columns for a table: the requested fields, or every scalar field in order of appearance
+ */
+function tableColumns(records: unknown[], fields?: string[]): string[] {
+  if (fields && fields.length > 0) {
+    return fields;
+  }
+
+  const columns = new Set<string>();
+  for (const record of records) {
+    if (!isRecord(record)) continue;
+    for (const [key, value] of Object.entries(record)) {
+      if (isScalar(value)) columns.add(key);
+    }
+  }
+  return [...columns];
+}
+
+export function toMarkdownTable(records: unknown[], fields?: string[]): string {
+  const columns = tableColumns(records, fields);
+  if (records.length === 0 || columns.length === 0) {
+    return 'No records';
+  }
+
+  const escape = (value: string) => value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const rows = records.map((record) => `| ${columns.map((column) => escape(formatCell(getPath(record, column)))).join(' | ')} |`);
+
+  return [
+    `| ${columns.map(escape).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows,
+  ].join('\n');
+}
+
+export function toCsv(records: unknown[], fields?: string[]): string {
+  const columns = tableColumns(records, fields);
+  if (columns.length === 0) {
+    return '';
+  }
+
+  const escape = (value: string) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = records.map((record) => columns.map((column) => escape(formatCell(getPath(record, column)))).join(','));
+
+  return [columns.map(escape).join(','), ...rows].join('\n');
+}
+
+/**
+ * Page details appended to compact and markdown output, so the client knows more records exist
+ */
+function describePage(data: unknown, shown: number): string[] {
+  if (!isPage(data)) {
+    return [];
+  }
+
+  const lines: string[] = [];
+  if (typeof data.count === 'number') lines.push(`${shown} of ${data.count} records`);
+  if (data.next_cursor) lines.push(`next_cursor: ${data.next_cursor}`);
+  else if (data.next) lines.push(`next: ${data.next}`);
+  return lines;
+}
+
+/**
+ * Record count and pagination details of a response
+ */
+export function summarizeResponse(data: unknown): ResponseSummary {
+  const summary: ResponseSummary = { returned: extractRecords(data).length };
+  if (isPage(data)) {
+    if (typeof data.count === 'number') summary.count = data.count;
+    if (typeof data.next_cursor === 'string' && data.next_cursor) summary.next_cursor = data.next_cursor;
+  }
+  return summary;
+}
+
+/**
+ * Apply a field projection and render the response in the requested format
+ * The projected data is returned as well, for structured content
+ */
+export function formatResponse(data: unknown, options: FormatOptions = {}): FormattedResponse {
+  const { fields, format = 'full' } = options;
+  const projected = projectFields(data, fields);
+  const records = extractRecords(projected);
+
+  switch (format) {
+    case 'compact': {
+      const lines = records.length > 0 ? records.map((record) => summarizeRecord(record, fields)) : ['No records'];
+      return { text: [...lines, ...describePage(projected, records.length)].join('\n'), data: projected };
+    }
+    case 'markdown': {
+      const footer = describePage(projected, records.length);
+      return { text: [toMarkdownTable(records, fields), ...(footer.length > 0 ? ['', ...footer] : [])].join('\n'), data: projected };
+    }
+    case 'csv':
+      return { text: toCsv(records, fields), data: projected };
+    default:
+      return { text: JSON.stringify(projected ?? null, null, 2), data: projected };
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Type guards for narrowing untyped API responses
+ */
+
+export type JsonRecord = Record<string, unknown>;
+
+/**
+ * Whether a value is a plain object (not null and not an array)
+ */
+export function isRecord(value: unknown): value is JsonRecord {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,60 @@
+/**
+ * Timeline view of LicenseSpring license change history
+ */
+
+import { JsonRecord, isRecord } from './guards.js';
+
+export interface TimelineEvent {
+  at: string | null;
+  actor: string | null;
+  action: string | null;
+  changes?: unknown;
+  id?: number;
+}
+
+const TIMESTAMP_FIELDS = ['created_at', 'timestamp', 'ts', 'date'];
+const ACTOR_FIELDS = ['created_by', 'changed_by', 'manager', 'user', 'actor'];
+const ACTION_FIELDS = ['action', 'event', 'type', 'description'];
+const CHANGE_FIELDS = ['changes', 'diff', 'changed_fields', 'data'];
+
+const ACTOR_NAME_FIELDS = ['email', 'username', 'name', 'id'];
+
+function firstField(entry: JsonRecord, fields: string[]): unknown {
+  const field = fields.find((name) => entry[name] !== undefined && entry[name] !== null);
+  return field ? entry[field] : undefined;
+}
+
+function describeActor(actor: unknown): string | null {
+  if (actor === undefined || actor === null) return null;
+  if (!isRecord(actor)) return String(actor);
+  const name = firstField(actor, ACTOR_NAME_FIELDS);
+  return name !== undefined ? String(name) : null;
+}
+
+/**
+ * Turn license history records into a chronological list of who changed what and when
+ */
+export function buildLicenseTimeline(data: unknown): TimelineEvent[] {
+  const rows: unknown[] = Array.isArray(data) ? data : isRecord(data) && Array.isArray(data.results) ? data.results : [];
+
+  return rows
+    .map((row) => {
+      const entry = isRecord(row) ? row : {};
+      const changes = firstField(entry, CHANGE_FIELDS);
+      const at = firstField(entry, TIMESTAMP_FIELDS);
+      const action = firstField(entry, ACTION_FIELDS);
+
+      return {
+        ...(typeof entry.id === 'number' ? { id: entry.id } : {}),
+        at: at !== undefined ? String(at) : null,
+        actor: describeActor(firstField(entry, ACTOR_FIELDS)),
+        action: action !== undefined ? String(action) : null,
+        ...(changes !== undefined ? { changes } : {}),
+      };
+    })
+    .sort((a, b) => {
+      if (a.at === null) return 1;
+      if (b.at === null) return -1;
+      return new Date(a.at).getTime() - new Date(b.at).getTime();
+    });
+}
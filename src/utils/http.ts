@@ -1,5 +1,24 @@
 import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
 import { generateLicenseApiAuthHeader, generateManagementApiAuthHeader } from './auth.js';
+import {
+  DEFAULT_RETRY_OPTIONS,
+  RetryOptions,
+  attachRetryInterceptor,
+  getRetryCount,
+  getRetryOptions,
+  isRepeatableMethod,
+  parseRetryOptions
+} from './retry.js';
+import {
+  CacheOptions,
+  CachedRequestConfig,
+  LICENSE_API_CACHE_RULES,
+  MANAGEMENT_API_CACHE_RULES,
+  ResponseCache,
+  parseCacheOptions
+} from './cache.js';
+import { attachAuditInterceptor } from './audit.js';
+import { isRecord } from './guards.js';
 
 /**
  * HTTP client for LicenseSpring License API
@@ -7,14 +26,22 @@ import { generateLicenseApiAuthHeader, generateManagementApiAuthHeader } from '.
  * Optionally uses LICENSE_SHARED_KEY for enhanced security when available
  */
 export class LicenseApiClient {
+  readonly cache: ResponseCache;
   private client: AxiosInstance;
   private apiKey: string;
   private sharedKey?: string;
   private isTestMode: boolean;
   private hasSharedKey: boolean;
 
-  constructor(baseURL: string, apiKey: string, sharedKey?: string) {
+  constructor(
+    baseURL: string,
+    apiKey: string,
+    sharedKey?: string,
+    retryOptions: RetryOptions = parseRetryOptions(),
+    cacheOptions: CacheOptions = parseCacheOptions()
+  ) {
     this.apiKey = apiKey;
+    this.cache = new ResponseCache(LICENSE_API_CACHE_RULES, cacheOptions);
     this.sharedKey = sharedKey;
     this.isTestMode = apiKey.startsWith('test-') || process.env.NODE_ENV === 'test';
     this.hasSharedKey = !!sharedKey && !this.isTestMode;
@@ -53,22 +80,37 @@ export class LicenseApiClient {
 
       return config;
     });
+
+    attachRetryInterceptor(this.client, retryOptions);
+    attachAuditInterceptor(this.client, 'license');
   }
 
-  async get<T = any>(url: string, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.get(url, config);
+  async get<T = any>(url: string, config?: CachedRequestConfig): Promise<AxiosResponse<T>> {
+    return this.cache.fetch(url, config, () => this.client.get(url, config));
   }
 
   async post<T = any>(url: string, data?: any, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.post(url, data, config);
+    try {
+      return await this.client.post(url, data, config);
+    } finally {
+      this.cache.invalidate(url);
+    }
   }
 
   async put<T = any>(url: string, data?: any, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.put(url, data, config);
+    try {
+      return await this.client.put(url, data, config);
+    } finally {
+      this.cache.invalidate(url);
+    }
   }
 
   async delete<T = any>(url: string, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.delete(url, config);
+    try {
+      return await this.client.delete(url, config);
+    } finally {
+      this.cache.invalidate(url);
+    }
   }
 }
 
@@ -76,11 +118,18 @@ export class LicenseApiClient {
  * HTTP client for LicenseSpring Management API
  */
 export class ManagementApiClient {
+  readonly cache: ResponseCache;
   private client: AxiosInstance;
   private apiKey: string;
 
-  constructor(baseURL: string, apiKey: string) {
+  constructor(
+    baseURL: string,
+    apiKey: string,
+    retryOptions: RetryOptions = parseRetryOptions(),
+    cacheOptions: CacheOptions = parseCacheOptions()
+  ) {
     this.apiKey = apiKey;
+    this.cache = new ResponseCache(MANAGEMENT_API_CACHE_RULES, cacheOptions);
 
     this.client = axios.create({
       baseURL,
@@ -91,67 +140,235 @@ export class ManagementApiClient {
         'Authorization': generateManagementApiAuthHeader(apiKey)
       }
     });
+
+    attachRetryInterceptor(this.client, retryOptions);
+    attachAuditInterceptor(this.client, 'management');
   }
 
-  async get<T = any>(url: string, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.get(url, config);
+  async get<T = any>(url: string, config?: CachedRequestConfig): Promise<AxiosResponse<T>> {
+    return this.cache.fetch(url, config, () => this.client.get(url, config));
   }
 
   async post<T = any>(url: string, data?: any, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.post(url, data, config);
+    try {
+      return await this.client.post(url, data, config);
+    } finally {
+      this.cache.invalidate(url);
+    }
   }
 
   async put<T = any>(url: string, data?: any, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.put(url, data, config);
+    try {
+      return await this.client.put(url, data, config);
+    } finally {
+      this.cache.invalidate(url);
+    }
   }
 
   async delete<T = any>(url: string, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.delete(url, config);
+    try {
+      return await this.client.delete(url, config);
+    } finally {
+      this.cache.invalidate(url);
+    }
   }
 
   async patch<T = any>(url: string, data?: any, config?: AxiosRequestConfig): Promise<AxiosResponse<T>> {
-    return this.client.patch(url, data, config);
+    try {
+      return await this.client.patch(url, data, config);
+    } finally {
+      this.cache.invalidate(url);
+    }
   }
 }
 
+export type LicenseSpringApi = 'license' | 'management';
+
 /**
- * Handle API errors consistently with authentication method awareness
+ * A failed API call, classified so clients can handle each case differently
  */
-export function handleApiError(error: any): string {
-  if (error.response) {
-    // Server responded with error status
-    const status = error.response.status;
-    const data = error.response.data;
-
-    // Check for authentication-related errors
-    if (status === 401 || status === 403) {
-      const errorMessage = data?.message || data?.error || data?.detail || error.response.statusText;
-
-      // If it looks like an authentication error, provide helpful guidance
-      if (errorMessage.toLowerCase().includes('auth') ||
-          errorMessage.toLowerCase().includes('signature') ||
-          errorMessage.toLowerCase().includes('unauthorized')) {
-        return `Authentication failed: ${errorMessage}. ` +
-               `Verify your LICENSE_API_KEY is correct. ` +
-               `If your organization uses shared API settings, you may also need to provide LICENSE_SHARED_KEY for enhanced security.`;
-      }
+export interface ApiErrorDetails {
+  /** HTTP status; null when no response was received */
+  status: number | null;
+  /** LicenseSpring error code (e.g. license_expired), or a category derived from the status */
+  code: string;
+  /** Error message returned by the API */
+  message: string;
+  /** Whether the same call may succeed later without changes */
+  retryable: boolean;
+  /** Retries made before the call finally failed */
+  retries: number;
+  /** Suggested way to resolve the error */
+  hint?: string;
+  /** API that rejected the call, when it can be told from the request path */
+  api?: LicenseSpringApi;
+}
 
-      return `Access denied: ${errorMessage}`;
-    }
+// Remediation hints for the error codes returned by the License API
+const ERROR_CODE_HINTS: Record<string, string> = {
+  license_not_found: 'Check the license key and product code; the license must belong to the given product',
+  license_expired: 'The license validity period has ended. Extend it with update_license (Management API) or issue a new license',
+  license_not_enabled: 'The license is disabled. Enable it with enable_license (Management API)',
+  license_not_active: 'The license has not been activated yet. Activate it with activate_license first',
+  hardware_id_mismatch: 'The license is activated on a different device. Use the hardware ID it was activated with, or deactivate it on that device first',
+  max_activations_reached: 'Every activation is in use. Deactivate an unused device, reset the license with reset_license or raise max_activations with update_license',
+  device_blacklisted: 'This device has been blacklisted for the license and cannot be activated',
+  product_not_found: 'Check the product short code',
+  trial_not_allowed: 'Trials are disabled for this product or were already used on this device',
+  license_user_not_found: 'Check the license user email; user-based licenses need an assigned user',
+  max_consumptions_reached: 'The consumption limit is reached. Raise max_consumptions or allow overages with update_license',
+};
 
-    // Handle other error types
-    if (data && typeof data === 'object') {
-      if (data.message) return data.message;
-      if (data.error) return data.error;
-      if (data.detail) return data.detail;
-    }
+const AUTH_HINTS: Record<LicenseSpringApi | 'unknown', string> = {
+  license: 'Verify your LICENSE_API_KEY is correct. ' +
+    'If your organization uses shared API settings, you may also need to provide LICENSE_SHARED_KEY for enhanced security.',
+  management: 'Verify your MANAGEMENT_API_KEY is correct. ' +
+    'It must be a Management API key (Settings → Keys in the LicenseSpring dashboard), not the LICENSE_API_KEY.',
+  unknown: 'Verify LICENSE_API_KEY (License API) or MANAGEMENT_API_KEY (Management API) is correct.',
+};
+
+const STATUS_CODES: Record<number, string> = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  408: 'timeout',
+  409: 'conflict',
+  429: 'rate_limited',
+};
+
+const TIMEOUT_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT']);
+
+// The parts of an axios error that are classified; anything else thrown by a tool is a client error
+interface ApiErrorLike {
+  code?: unknown;
+  message?: unknown;
+  request?: unknown;
+  config?: { url?: unknown; method?: unknown };
+  response?: { status: number; statusText?: string; data?: unknown };
+}
+
+/**
+ * Tell which API a request went to from its path: License API paths are /api/v4/, Management API paths /api/v1/
+ */
+function apiOf(error: ApiErrorLike): LicenseSpringApi | undefined {
+  const url = typeof error.config?.url === 'string' ? error.config.url : '';
+  if (url.includes('/api/v4/')) return 'license';
+  if (url.includes('/api/v1/')) return 'management';
+  return undefined;
+}
 
-    return `HTTP ${status}: ${error.response.statusText}`;
-  } else if (error.request) {
-    // Request was made but no response received
-    return 'No response received from LicenseSpring API server. Please check your internet connection.';
-  } else {
-    // Something else happened
-    return error.message || 'Unknown error occurred while communicating with LicenseSpring API';
+function isAuthenticationError(status: number | null, message: string): boolean {
+  if (status !== 401 && status !== 403) return false;
+  const text = message.toLowerCase();
+  return text.includes('auth') || text.includes('signature') || text.includes('unauthorized');
+}
+
+/**
+ * Management API validation errors map field names to lists of messages
+ */
+function describeFieldErrors(data: Record<string, unknown>): string | undefined {
+  const fields = Object.entries(data).filter(([, value]) => Array.isArray(value) && value.every((item) => typeof item === 'string'));
+  if (fields.length === 0) return undefined;
+  return fields.map(([field, messages]) => `${field}: ${(messages as string[]).join(' ')}`).join('; ');
+}
+
+function statusHint(code: string, api: LicenseSpringApi | undefined): string | undefined {
+  switch (code) {
+    case 'unauthorized':
+      return AUTH_HINTS[api ?? 'unknown'];
+    case 'forbidden':
+      return 'The API key is not allowed to perform this call. Check its permissions and your subscription tier';
+    case 'not_found':
+      return 'The requested record does not exist. Check the ID, key or code that was passed';
+    case 'validation_error':
+      return 'Fix the listed fields and call the tool again';
+    case 'rate_limited':
+      return 'Too many requests. Wait before calling the API again';
+    case 'server_error':
+      return 'The LicenseSpring API is having problems. Try again later';
+    case 'timeout':
+    case 'network_error':
+      return 'Check your internet connection and the LICENSE_API_URL / MANAGEMENT_API_URL settings';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Classify a failed API call: status, error code, retryability and a remediation hint for the API that failed
+ * Statuses are retryable when the retry options of the client that made the call retry them
+ * Requests that got no response are only retryable when their method may be repeated,
+ * since a POST that timed out may still have created a record
+ */
+export function parseApiError(
+  error: unknown,
+  retryOptions: Pick<RetryOptions, 'retryOnStatus' | 'retryNonIdempotent'> = getRetryOptions(error) ?? DEFAULT_RETRY_OPTIONS
+): ApiErrorDetails {
+  const failure: ApiErrorLike = isRecord(error) ? error : {};
+  const api = apiOf(failure);
+  const retries = getRetryCount(error);
+
+  if (failure.response) {
+    const { status, statusText } = failure.response;
+    const data = isRecord(failure.response.data) ? failure.response.data : {};
+    const fieldErrors = describeFieldErrors(data);
+    const apiMessage = [data.message, data.error, data.detail].find((value): value is string => typeof value === 'string' && value !== '');
+    const message = apiMessage || fieldErrors || `HTTP ${status}: ${statusText}`;
+    const apiCode = [data.code, data.error_code].find((value): value is string => typeof value === 'string');
+    const code = apiCode?.toLowerCase() ??
+      (status === 400 && fieldErrors ? 'validation_error' : STATUS_CODES[status] ?? (status >= 500 ? 'server_error' : `http_${status}`));
+
+    return {
+      status,
+      code,
+      message,
+      retryable: retryOptions.retryOnStatus.includes(status),
+      retries,
+      hint: ERROR_CODE_HINTS[code] ?? statusHint(isAuthenticationError(status, message) ? 'unauthorized' : code, api),
+      ...(api && { api }),
+    };
   }
+
+  if (failure.request) {
+    const code = typeof failure.code === 'string' && TIMEOUT_ERROR_CODES.has(failure.code) ? 'timeout' : 'network_error';
+    const method = typeof failure.config?.method === 'string' ? failure.config.method : undefined;
+    return {
+      status: null,
+      code,
+      message: 'No response received from LicenseSpring API server. Please check your internet connection.',
+      retryable: isRepeatableMethod(method, retryOptions),
+      retries,
+      hint: statusHint(code, api),
+      ...(api && { api }),
+    };
+  }
+
+  return {
+    status: null,
+    code: 'client_error',
+    message: typeof failure.message === 'string' && failure.message ? failure.message : 'Unknown error occurred while communicating with LicenseSpring API',
+    retryable: false,
+    retries,
+  };
+}
+
+/**
+ * Handle API errors consistently with authentication method awareness
+ * Mentions how many retries were made when the request was retried before failing
+ */
+export function handleApiError(error: unknown): string {
+  const details = parseApiError(error);
+  let message = details.message;
+
+  if (details.status === 401 || details.status === 403) {
+    message = isAuthenticationError(details.status, details.message)
+      ? `Authentication failed: ${details.message}. ${AUTH_HINTS[details.api ?? 'unknown']}`
+      : `Access denied: ${details.message}`;
+  }
+
+  return details.retries > 0
+    ? `${message} (failed after ${details.retries} ${details.retries === 1 ? 'retry' : 'retries'})`
+    : message;
 }
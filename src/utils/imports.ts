@@ -0,0 +1,150 @@
+/**
+ * Tracking for asynchronous LicenseSpring CSV imports
+ */
+
+import { isRecord } from './guards.js';
+
+export type ImportKind = 'licenses' | 'customers' | 'license_features';
+
+export const IMPORT_RESULTS_PATHS: Record<ImportKind, string> = {
+  licenses: '/api/v1/licenses-import-results/',
+  customers: '/api/v1/customers-import-results/',
+  license_features: '/api/v1/license-features-import-results/',
+};
+
+const PENDING_STATUSES = new Set(['pending', 'running', 'queued', 'in_progress']);
+const FAILURE_FIELDS = ['errors', 'failed_rows', 'failures', 'failed'];
+const ROW_FIELDS = ['rows', 'results', 'log'];
+
+export interface ImportSummary {
+  id?: number;
+  status: string;
+  total_rows?: number;
+  failed_rows: number;
+  failures: unknown[];
+}
+
+export interface WaitForImportOptions {
+  intervalMs?: number;
+  timeoutMs?: number;
+  signal?: AbortSignal;
+  onProgress?: (result: unknown, attempt: number) => void | Promise<void>;
+}
+
+/**
+ * Thrown by waitForImport when the import is still running at the deadline
+ * The import continues on the LicenseSpring side
+ */
+export class ImportTimeoutError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ImportTimeoutError';
+  }
+}
+
+interface ImportResultsClient {
+  get(url: string): Promise<{ data: unknown }>;
+}
+
+/**
+ * Find the import result ID in the response of an import_from_csv call
+ */
+export function getImportId(data: unknown): number | undefined {
+  if (!isRecord(data)) return undefined;
+  const importResult = data.import_result;
+  const candidates = [data.id, data.import_id, isRecord(importResult) ? importResult.id : importResult];
+  return candidates.find((value): value is number => typeof value === 'number');
+}
+
+/**
+ * Status of an import result, e.g. pending, running or success
+ */
+export function getImportStatus(result: unknown): string | undefined {
+  return isRecord(result) && typeof result.status === 'string' ? result.status : undefined;
+}
+
+export function isImportFinished(result: unknown): boolean {
+  const status = getImportStatus(result)?.toLowerCase();
+  return !!status && !PENDING_STATUSES.has(status);
+}
+
+/**
+ * Reduce an import result to its status and the rows that failed
+ */
+export function summarizeImportResult(result: unknown): ImportSummary {
+  const record = isRecord(result) ? result : {};
+  const listAt = (field: string): unknown[] | undefined => {
+    const value = record[field];
+    return Array.isArray(value) ? value : undefined;
+  };
+
+  let failures = FAILURE_FIELDS.map(listAt).find((list) => list !== undefined);
+  if (!failures) {
+    const rows = ROW_FIELDS.map(listAt).find((list) => list !== undefined) ?? [];
+    failures = rows.filter((row) => isRecord(row) && (row.error || row.errors || row.status === 'error'));
+  }
+
+  const totalRows = [record.total_rows, record.total, record.rows_count].find((value): value is number => typeof value === 'number');
+
+  return {
+    ...(typeof record.id === 'number' ? { id: record.id } : {}),
+    status: getImportStatus(record) ?? 'unknown',
+    ...(totalRows !== undefined ? { total_rows: totalRows } : {}),
+    failed_rows: failures.length,
+    failures,
+  };
+}
+
+/**
+ * Wait for ms milliseconds; rejects as soon as the signal is aborted
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Poll an import result until it leaves the pending/running state
+ * The last poll happens at the deadline; throws an ImportTimeoutError when the timeout elapses, or an error when the signal is aborted
+ */
+export async function waitForImport(
+  client: ImportResultsClient,
+  kind: ImportKind,
+  id: number,
+  options: WaitForImportOptions = {}
+): Promise<unknown> {
+  const { intervalMs = 2000, timeoutMs = 120000, signal, onProgress } = options;
+  const deadline = Date.now() + timeoutMs;
+  const cancelled = () => new Error(`Stopped waiting for ${kind} import ${id}: request was cancelled`);
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) {
+      throw cancelled();
+    }
+
+    const response = await client.get(`${IMPORT_RESULTS_PATHS[kind]}${id}/`);
+    if (isImportFinished(response.data)) {
+      return response.data;
+    }
+
+    if (onProgress) await onProgress(response.data, attempt);
+
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      throw new ImportTimeoutError(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting for ${kind} import ${id} to finish`);
+    }
+
+    await sleep(Math.min(intervalMs, remainingMs), signal).catch(() => {
+      throw cancelled();
+    });
+  }
+}
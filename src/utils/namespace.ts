@@ -0,0 +1,57 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { readFlag } from './transport.js';
+
+export interface ToolPrefixes {
+  license: string;
+  management: string;
+}
+
+export const DEFAULT_TOOL_PREFIXES: ToolPrefixes = {
+  license: 'license_',
+  management: 'mgmt_',
+};
+
+const PREFIX_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+/**
+ * Resolve the name prefixes used for each tool set in combined mode
+ * --prefix-tools (or MCP_PREFIX_TOOLS=true) enables the default license_ and mgmt_ prefixes;
+ * --license-prefix / MCP_LICENSE_PREFIX and --management-prefix / MCP_MANAGEMENT_PREFIX set them individually
+ */
+export function parseToolPrefixes(
+  argv: string[] = process.argv.slice(2),
+  env: Record<string, string | undefined> = process.env
+): ToolPrefixes {
+  const useDefaults = argv.includes('--prefix-tools') || env.MCP_PREFIX_TOOLS === 'true';
+  const prefixes: ToolPrefixes = {
+    license: readFlag(argv, 'license-prefix') ?? (env.MCP_LICENSE_PREFIX || (useDefaults ? DEFAULT_TOOL_PREFIXES.license : '')),
+    management: readFlag(argv, 'management-prefix') ?? (env.MCP_MANAGEMENT_PREFIX || (useDefaults ? DEFAULT_TOOL_PREFIXES.management : '')),
+  };
+
+  for (const [toolSet, prefix] of Object.entries(prefixes)) {
+    if (!PREFIX_PATTERN.test(prefix)) {
+      throw new Error(`Invalid ${toolSet} prefix "${prefix}". Prefixes may only contain letters, digits, underscores and hyphens`);
+    }
+  }
+
+  return prefixes;
+}
+
+/**
+ * Wrap an MCP server so that every tool, prompt and resource registered through the wrapper
+ * has its name prefixed; everything else is forwarded to the underlying server
+ */
+export function withNamePrefix(server: McpServer, prefix: string): McpServer {
+  if (!prefix) return server;
+
+  const registrars = new Set<PropertyKey>(['registerTool', 'registerPrompt', 'registerResource']);
+  return new Proxy(server, {
+    get(target, property) {
+      if (registrars.has(property)) {
+        return (name: string, ...rest: unknown[]) => Reflect.apply(Reflect.get(target, property, target), target, [`${prefix}${name}`, ...rest]);
+      }
+      const value = Reflect.get(target, property, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
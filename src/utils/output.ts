@@ -0,0 +1,139 @@
+import { CallToolResult } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { FormatOptions, formatResponse, summarizeResponse } from './format.js';
+import { ApiErrorDetails, handleApiError, parseApiError } from './http.js';
+import { RetryOptions } from './retry.js';
+
+/**
+ * Error details; everything except message is only set when a LicenseSpring API call failed
+ */
+export const errorOutputSchema = z.object({
+  message: z.string(),
+  status: z.number().nullish(),
+  code: z.string().optional(),
+  retryable: z.boolean().optional(),
+  retries: z.number().optional(),
+  hint: z.string().optional(),
+  api: z.enum(['license', 'management']).optional(),
+}).passthrough();
+
+/**
+ * Record count and pagination details returned instead of the data for compact, markdown and csv responses
+ */
+export const summaryOutputSchema = z.object({
+  returned: z.number(),
+  count: z.number().optional(),
+  next_cursor: z.string().optional(),
+});
+
+/**
+ * Output schema shared by every tool:
+ * - result: the LicenseSpring data, described by the given schema
+ * - summary: the record count of a response rendered as compact, markdown or csv text
+ * - message: a confirmation for calls that return no data (e.g. deletes)
+ * - error: details of a failed call
+ * All fields are optional because error results are validated against the same schema
+ */
+export function toolOutput(result: z.ZodTypeAny = z.unknown()) {
+  return {
+    result: result.optional(),
+    summary: summaryOutputSchema.optional(),
+    message: z.string().optional(),
+    error: errorOutputSchema.optional(),
+  };
+}
+
+/**
+ * Return data as pretty-printed JSON text and as structuredContent.result
+ */
+export function jsonResult(data: unknown): CallToolResult {
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify(data ?? null, null, 2),
+    }],
+    structuredContent: { result: data ?? null },
+  };
+}
+
+/**
+ * Return data reduced to the requested fields, as text in the requested format
+ * The full format puts the projected JSON in structuredContent.result; the other formats only add a summary,
+ * so the records are not sent twice
+ */
+export function formattedResult(data: unknown, options: FormatOptions): CallToolResult {
+  const { text, data: projected } = formatResponse(data, options);
+  const structuredContent = (options.format ?? 'full') === 'full'
+    ? { result: projected ?? null }
+    : { summary: summarizeResponse(projected) };
+
+  return {
+    content: [{
+      type: 'text',
+      text,
+    }],
+    structuredContent,
+  };
+}
+
+/**
+ * Return a confirmation message for a call without response data
+ */
+export function messageResult(message: string): CallToolResult {
+  return {
+    content: [{
+      type: 'text',
+      text: message,
+    }],
+    structuredContent: { message },
+  };
+}
+
+/**
+ * Return an export as-is when the API sends CSV text, or as JSON otherwise
+ */
+export function exportResult(data: unknown): CallToolResult {
+  if (typeof data !== 'string') {
+    return jsonResult(data);
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: data,
+    }],
+    structuredContent: { result: data },
+  };
+}
+
+/**
+ * Return a failed call; structuredContent is included so the result still matches the tool's output schema
+ * The message given here replaces any message in the details
+ */
+export function errorResult(message: string, details: Partial<ApiErrorDetails> = {}): CallToolResult {
+  return {
+    content: [{
+      type: 'text',
+      text: message,
+    }],
+    structuredContent: { error: { ...details, message } },
+    isError: true,
+  };
+}
+
+/**
+ * Return a failed API call with its status, error code, retryability and remediation hint
+ * The text names what failed, e.g. "Error getting license: Not found.", followed by the hint
+ * retryOptions defaults to those of the client that made the call
+ */
+export function apiErrorResult(
+  action: string,
+  error: unknown,
+  retryOptions?: Pick<RetryOptions, 'retryOnStatus' | 'retryNonIdempotent'>
+): CallToolResult {
+  const details = parseApiError(error, retryOptions);
+  const summary = `${action}: ${handleApiError(error)}`;
+  const text = details.hint && !summary.includes(details.hint) ? `${summary}\nHint: ${details.hint}` : summary;
+
+  return errorResult(text, details);
+}
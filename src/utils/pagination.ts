@@ -0,0 +1,90 @@
+import { isRecord } from './guards.js';
+
+/** Hard upper bound on the number of records a single fetch_all / max_items call collects */
+export const MAX_ITEMS_CAP = 10000;
+
+/** Number of records the list resources collect before returning a continuation cursor */
+export const RESOURCE_MAX_ITEMS = 1000;
+
+export interface CollectedPages<T = unknown> {
+  /** Total number of records matching the query, as reported by the API */
+  count: number;
+  returned: number;
+  results: T[];
+  /** Pass back as `cursor` to continue where this response stopped; null when every record was returned */
+  next_cursor: string | null;
+}
+
+interface PageClient {
+  get(url: string): Promise<{ data: unknown }>;
+}
+
+/**
+ * Reduce a `next` link to a path on the configured API host,
+ * so credentials are never sent to a host named in a response
+ */
+function toRelativeUrl(url: string): string {
+  const parsed = new URL(url, 'http://localhost');
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Point a limit/offset page URL at a different offset
+ */
+function withOffset(url: string, offset: number): string {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.set('offset', offset.toString());
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+export function encodeCursor(url: string): string {
+  return Buffer.from(url, 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a continuation cursor, making sure it belongs to the endpoint being listed
+ */
+export function decodeCursor(cursor: string, basePath: string): string {
+  const url = Buffer.from(cursor, 'base64url').toString('utf8');
+  if (!url.startsWith(basePath)) {
+    throw new Error('Invalid cursor: it was not issued by this tool');
+  }
+  return url;
+}
+
+/**
+ * Follow `next` links from the first page until maxItems records are collected or no pages are left
+ * When the limit falls inside a page, the cursor resumes at the first record that was not returned
+ */
+export async function collectPages<T = unknown>(client: PageClient, firstUrl: string, maxItems: number): Promise<CollectedPages<T>> {
+  const results: T[] = [];
+  let count: number | undefined;
+  let url: string | undefined = firstUrl;
+  let nextUrl: string | undefined;
+
+  while (url) {
+    const { data } = await client.get(url);
+    const page: T[] = Array.isArray(data) ? data : isRecord(data) && Array.isArray(data.results) ? data.results : [];
+    const next = isRecord(data) && typeof data.next === 'string' ? data.next : undefined;
+    if (isRecord(data) && typeof data.count === 'number') count = data.count;
+
+    const remaining = maxItems - results.length;
+    results.push(...page.slice(0, remaining));
+
+    if (page.length > remaining) {
+      const pageOffset = Number(new URL(url, 'http://localhost').searchParams.get('offset') ?? 0);
+      nextUrl = withOffset(url, pageOffset + remaining);
+      break;
+    }
+
+    nextUrl = next ? toRelativeUrl(next) : undefined;
+    url = page.length > 0 && results.length < maxItems ? nextUrl : undefined;
+  }
+
+  return {
+    count: count ?? results.length,
+    returned: results.length,
+    results,
+    next_cursor: nextUrl ? encodeCursor(nextUrl) : null,
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Redaction of secrets from data that is returned to MCP clients or written to logs
+ */
+
+export const REDACTED = '[REDACTED]';
+
+const DEFAULT_SECRET_KEYS = [
+  'password',
+  'new_password',
+  'old_password',
+  'api_key',
+  'shared_key',
+  'secret',
+  'client_secret',
+  'private_key',
+  'token',
+  'access_token',
+  'refresh_token',
+  // Single-use tokens that confirm a dry-run preview
+  'confirmation_token',
+];
+
+/**
+ * Return a deep copy of the value with every secret key replaced by a placeholder
+ * Key matching is case-insensitive
+ */
+export function redactSecrets<T>(value: T, secretKeys: string[] = DEFAULT_SECRET_KEYS): T {
+  const keys = new Set(secretKeys.map((key) => key.toLowerCase()));
+
+  const redact = (input: unknown): unknown => {
+    if (Array.isArray(input)) return input.map(redact);
+    if (!input || typeof input !== 'object') return input;
+
+    const output: Record<string, unknown> = {};
+    for (const [key, nested] of Object.entries(input)) {
+      output[key] = keys.has(key.toLowerCase()) ? REDACTED : redact(nested);
+    }
+    return output;
+  };
+
+  return redact(value) as T;
+}
@@ -0,0 +1,169 @@
+import { AxiosError, AxiosInstance, InternalAxiosRequestConfig } from 'axios';
+
+export interface RetryOptions {
+  /** Maximum number of retries after the first attempt (0 disables retries) */
+  retries: number;
+  /** Base delay for exponential backoff */
+  baseDelayMs: number;
+  /** Upper bound for a single backoff delay */
+  maxDelayMs: number;
+  /** Longest Retry-After delay that is honored; longer waits fail immediately */
+  maxRetryAfterMs: number;
+  /** Also retry POST and PATCH requests, which may not be safe to repeat */
+  retryNonIdempotent: boolean;
+  /** Response statuses that are considered transient */
+  retryOnStatus: number[];
+}
+
+export const DEFAULT_RETRY_OPTIONS: RetryOptions = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  maxRetryAfterMs: 60000,
+  retryNonIdempotent: false,
+  retryOnStatus: [408, 429, 500, 502, 503, 504],
+};
+
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ERR_NETWORK',
+]);
+
+type RetryableRequestConfig = InternalAxiosRequestConfig & { retryCount?: number; retryOptions?: RetryOptions };
+
+function readInteger(value: string | undefined, fallback: number, name: string): number {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${name} "${value}". Expected a non-negative integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Resolve retry settings from environment variables
+ * HTTP_MAX_RETRIES, HTTP_RETRY_BASE_DELAY_MS, HTTP_RETRY_MAX_DELAY_MS, HTTP_RETRY_NON_IDEMPOTENT
+ */
+export function parseRetryOptions(env: Record<string, string | undefined> = process.env): RetryOptions {
+  return {
+    ...DEFAULT_RETRY_OPTIONS,
+    retries: readInteger(env.HTTP_MAX_RETRIES, DEFAULT_RETRY_OPTIONS.retries, 'HTTP_MAX_RETRIES'),
+    baseDelayMs: readInteger(env.HTTP_RETRY_BASE_DELAY_MS, DEFAULT_RETRY_OPTIONS.baseDelayMs, 'HTTP_RETRY_BASE_DELAY_MS'),
+    maxDelayMs: readInteger(env.HTTP_RETRY_MAX_DELAY_MS, DEFAULT_RETRY_OPTIONS.maxDelayMs, 'HTTP_RETRY_MAX_DELAY_MS'),
+    retryNonIdempotent: env.HTTP_RETRY_NON_IDEMPOTENT === 'true',
+  };
+}
+
+/**
+ * Convert a Retry-After header (delay in seconds or an HTTP date) to milliseconds
+ */
+export function parseRetryAfter(header: unknown, now: number = Date.now()): number | undefined {
+  if (typeof header !== 'string' || header.trim() === '') return undefined;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and base * 2^attempt, capped at maxDelayMs
+ */
+export function computeBackoffDelay(
+  attempt: number,
+  options: Pick<RetryOptions, 'baseDelayMs' | 'maxDelayMs'>,
+  random: () => number = Math.random
+): number {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.floor(random() * ceiling);
+}
+
+/**
+ * Whether a request with this method may be repeated; POST and PATCH only with retryNonIdempotent
+ * A request without a method is a GET, as in axios
+ */
+export function isRepeatableMethod(method: string | undefined, options: Pick<RetryOptions, 'retryNonIdempotent'>): boolean {
+  return IDEMPOTENT_METHODS.has((method ?? 'get').toLowerCase()) || options.retryNonIdempotent;
+}
+
+/**
+ * Decide whether a failed request may be retried
+ */
+export function isRetryableError(error: AxiosError, options: RetryOptions): boolean {
+  if (!isRepeatableMethod(error.config?.method, options)) {
+    return false;
+  }
+
+  if (error.response) {
+    return options.retryOnStatus.includes(error.response.status);
+  }
+
+  return error.code !== undefined && RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+function requestConfigOf(error: unknown): RetryableRequestConfig | undefined {
+  if (!error || typeof error !== 'object' || !('config' in error)) return undefined;
+  return error.config as RetryableRequestConfig | undefined;
+}
+
+/**
+ * Number of retries that were made before a request finally failed
+ */
+export function getRetryCount(error: unknown): number {
+  return requestConfigOf(error)?.retryCount ?? 0;
+}
+
+/**
+ * Retry settings of the client that made a failed request; undefined when it has no retry interceptor
+ */
+export function getRetryOptions(error: unknown): RetryOptions | undefined {
+  return requestConfigOf(error)?.retryOptions;
+}
+
+const sleep = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retry transient failures of an axios instance with exponential backoff and jitter,
+ * waiting for Retry-After when the server sends one (e.g. with 429 Too Many Requests)
+ */
+export function attachRetryInterceptor(
+  client: AxiosInstance,
+  options: RetryOptions,
+  wait: (ms: number) => Promise<void> = sleep
+): void {
+  client.interceptors.response.use(undefined, async (error: AxiosError) => {
+    const config = error.config as RetryableRequestConfig | undefined;
+    if (!config) {
+      throw error;
+    }
+    // Kept on the request so error classification agrees with what the client retries
+    config.retryOptions = options;
+    if (config.signal?.aborted) {
+      throw error;
+    }
+
+    const retryCount = config.retryCount ?? 0;
+    if (retryCount >= options.retries || !isRetryableError(error, options)) {
+      throw error;
+    }
+
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== undefined && retryAfter > options.maxRetryAfterMs) {
+      throw error;
+    }
+
+    await wait(retryAfter ?? computeBackoffDelay(retryCount, options));
+    config.retryCount = retryCount + 1;
+    return client.request(config);
+  });
+}
@@ -0,0 +1,218 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { readFlag } from './transport.js';
+
+export interface ToolProfile {
+  description: string;
+  /** Tool name patterns the profile is limited to; every tool when omitted */
+  allow?: string[];
+  /** Tool name patterns the profile never registers */
+  deny?: string[];
+}
+
+export interface ToolPolicy {
+  profile?: string;
+  /** Only register tools that do not change LicenseSpring data */
+  readOnly: boolean;
+  /** Tool name patterns to register; every tool when empty */
+  allow: string[];
+  /** Tool name patterns that are never registered */
+  deny: string[];
+}
+
+/** Tools that only read data; manage_*_cache only touches the local response cache */
+export const READ_ONLY_TOOL_PATTERNS = ['list_*', 'get_*', 'check_*', 'export_*', 'query_audit_log', 'manage_*_cache'];
+
+// Tools whose names look read-only but that change LicenseSpring data
+const MUTATING_TOOLS = new Set(['get_trial_key']);
+
+export const TOOL_PROFILES: Record<string, ToolProfile> = {
+  admin: {
+    description: 'Every tool',
+  },
+  support: {
+    description: 'Read-only tools plus license, device and user troubleshooting',
+    allow: [
+      ...READ_ONLY_TOOL_PATTERNS,
+      'activate_license',
+      'deactivate_license',
+      'deactivate_offline',
+      'floating_release',
+      'enable_license',
+      'reset_license',
+      'reset_device',
+      'update_license_user',
+      'set_license_user_password',
+    ],
+    deny: ['get_trial_key'],
+  },
+  sales: {
+    description: 'Read-only tools plus trials, licenses, customers and orders, without deletes',
+    allow: [
+      ...READ_ONLY_TOOL_PATTERNS,
+      'get_trial_key',
+      'create_license',
+      'update_license',
+      'enable_license',
+      'assign_user_to_license',
+      'assign_users_to_license',
+      'set_user_activations',
+      'create_customer',
+      'update_customer',
+      'add_label_to_customer',
+      'remove_label_from_customer',
+      'create_order',
+      'update_order',
+      'add_order_manager',
+      'remove_order_manager',
+    ],
+  },
+};
+
+/** Receives the name of every tool offered to a policy, permitted or not, and the name clients see */
+export type ToolNameCollector = (name: string, exposedName: string) => void;
+
+export interface ToolPolicyOptions {
+  /** Prefix the tools get after the policy, e.g. mgmt_ in combined mode; patterns match either name */
+  prefix?: string;
+  onTool?: ToolNameCollector;
+}
+
+export const DEFAULT_TOOL_POLICY: ToolPolicy = {
+  readOnly: false,
+  allow: [],
+  deny: [],
+};
+
+const PATTERN_CHARACTERS = /^[A-Za-z0-9_\-*?]+$/;
+
+/**
+ * Convert a glob pattern (* matches any characters, ? a single one) to an anchored regular expression
+ */
+export function globToRegExp(pattern: string): RegExp {
+  const source = pattern
+    .split('')
+    .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[-\\^$+.()|[\]{}]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(name: string, patterns: string[]): boolean {
+  return patterns.some((pattern) => globToRegExp(pattern).test(name));
+}
+
+export function isReadOnlyTool(name: string): boolean {
+  return matchesAny(name, READ_ONLY_TOOL_PATTERNS) && !MUTATING_TOOLS.has(name);
+}
+
+function readPatterns(value: string | undefined, source: string): string[] {
+  const patterns = (value ?? '').split(',').map((pattern) => pattern.trim()).filter(Boolean);
+  for (const pattern of patterns) {
+    if (!PATTERN_CHARACTERS.test(pattern)) {
+      throw new Error(`Invalid tool pattern "${pattern}" in ${source}. Patterns may only contain letters, digits, underscores, hyphens, * and ?`);
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Decide whether a tool may be registered
+ * Deny lists win; read-only mode, the profile and the allow list each have to permit the tool
+ * Explicit allow and deny patterns match the tool name with or without its prefix
+ */
+export function isToolPermitted(name: string, policy: ToolPolicy, prefix = ''): boolean {
+  const profile: Partial<ToolProfile> = policy.profile ? TOOL_PROFILES[policy.profile] : {};
+  const names = prefix ? [name, `${prefix}${name}`] : [name];
+
+  if (matchesAny(name, profile.deny ?? [])) return false;
+  if (names.some((candidate) => matchesAny(candidate, policy.deny))) return false;
+  if (policy.readOnly && !isReadOnlyTool(name)) return false;
+  if (profile.allow && !matchesAny(name, profile.allow)) return false;
+  if (policy.allow.length > 0 && !names.some((candidate) => matchesAny(candidate, policy.allow))) return false;
+  return true;
+}
+
+/**
+ * Resolve which tools may be registered
+ * --profile / MCP_TOOL_PROFILE (admin, support or sales), --read-only / MCP_READ_ONLY=true,
+ * --allow-tools / MCP_ALLOW_TOOLS and --deny-tools / MCP_DENY_TOOLS (comma-separated glob patterns)
+ * Explicit settings can only narrow a profile; contradicting settings are rejected
+ * Tool names may be given with one of the prefixes in use, e.g. mgmt_delete_license
+ */
+export function parseToolPolicy(
+  argv: string[] = process.argv.slice(2),
+  env: Record<string, string | undefined> = process.env,
+  prefixes: string[] = []
+): ToolPolicy {
+  const profile = readFlag(argv, 'profile') ?? (env.MCP_TOOL_PROFILE || undefined);
+  if (profile !== undefined && !Object.prototype.hasOwnProperty.call(TOOL_PROFILES, profile)) {
+    throw new Error(`Invalid tool profile "${profile}". Expected one of ${Object.keys(TOOL_PROFILES).join(', ')}`);
+  }
+
+  const allowFlag = readFlag(argv, 'allow-tools');
+  const denyFlag = readFlag(argv, 'deny-tools');
+  const policy: ToolPolicy = {
+    ...(profile && { profile }),
+    readOnly: argv.includes('--read-only') || env.MCP_READ_ONLY === 'true',
+    allow: readPatterns(allowFlag ?? env.MCP_ALLOW_TOOLS, allowFlag !== undefined ? '--allow-tools' : 'MCP_ALLOW_TOOLS'),
+    deny: readPatterns(denyFlag ?? env.MCP_DENY_TOOLS, denyFlag !== undefined ? '--deny-tools' : 'MCP_DENY_TOOLS'),
+  };
+
+  // Tools named explicitly (without wildcards) must not be excluded by the rest of the configuration
+  for (const name of policy.allow.filter((pattern) => !/[*?]/.test(pattern))) {
+    const prefix = prefixes.find((candidate) => candidate && name.startsWith(candidate)) ?? '';
+    if (!isToolPermitted(name.slice(prefix.length), policy, prefix)) {
+      throw new Error(`Tool "${name}" is allowed but excluded by ${describeToolPolicy({ ...policy, allow: [] }) ?? 'the deny list'}`);
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Throw when an allow or deny pattern matches none of the tools a server offers, e.g. a typo in --deny-tools
+ * createServer is called once with a collector for every tool passed through withToolPolicy
+ */
+export function assertToolPatternsMatch(policy: ToolPolicy, createServer: (onTool: ToolNameCollector) => unknown): void {
+  const names: string[] = [];
+  createServer((name, exposedName) => names.push(name, exposedName));
+
+  for (const [list, patterns] of [['allow', policy.allow], ['deny', policy.deny]] as const) {
+    for (const pattern of patterns) {
+      if (!names.some((name) => globToRegExp(pattern).test(name))) {
+        throw new Error(`Tool pattern "${pattern}" in the ${list} list matches none of the registered tools`);
+      }
+    }
+  }
+}
+
+/**
+ * Summary of a policy for startup logs; undefined when every tool is registered
+ */
+export function describeToolPolicy(policy: ToolPolicy): string | undefined {
+  const parts: string[] = [];
+  if (policy.profile) parts.push(`profile ${policy.profile}`);
+  if (policy.readOnly) parts.push('read-only mode');
+  if (policy.allow.length > 0) parts.push(`allow ${policy.allow.join(', ')}`);
+  if (policy.deny.length > 0) parts.push(`deny ${policy.deny.join(', ')}`);
+  return parts.length > 0 ? parts.join('; ') : undefined;
+}
+
+/**
+ * Wrap an MCP server so that tools the policy does not permit are never registered
+ * Prompts, resources and everything else are forwarded to the underlying server
+ */
+export function withToolPolicy(server: McpServer, policy: ToolPolicy, options: ToolPolicyOptions = {}): McpServer {
+  const { prefix = '', onTool } = options;
+  return new Proxy(server, {
+    get(target, property) {
+      if (property === 'registerTool') {
+        return (name: string, ...rest: unknown[]) => {
+          onTool?.(name, `${prefix}${name}`);
+          return isToolPermitted(name, policy, prefix) ? Reflect.apply(target.registerTool, target, [name, ...rest]) : undefined;
+        };
+      }
+      const value = Reflect.get(target, property, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
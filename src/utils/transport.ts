@@ -0,0 +1,326 @@
+import crypto from 'crypto';
+import http, { IncomingMessage, ServerResponse } from 'http';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export type TransportType = 'stdio' | 'http' | 'sse';
+
+export interface TransportOptions {
+  transport: TransportType;
+  host: string;
+  port: number;
+  authToken?: string;
+  /** Close sessions without a request for this long (0 keeps idle sessions open) */
+  sessionTimeoutMs?: number;
+  /** Most sessions open at once; new sessions are refused beyond it (0 removes the limit) */
+  maxSessions?: number;
+}
+
+export interface HttpServerHandle {
+  server: http.Server;
+  sessionCount(): number;
+  close(): Promise<void>;
+}
+
+const TRANSPORT_TYPES: TransportType[] = ['stdio', 'http', 'sse'];
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_SESSION_TIMEOUT_SECONDS = 1800;
+const DEFAULT_MAX_SESSIONS = 100;
+
+/**
+ * Read a CLI flag given as `--name value` or `--name=value`
+ */
+export function readFlag(argv: string[], name: string): string | undefined {
+  const prefix = `--${name}=`;
+  const inline = argv.find((arg) => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const index = argv.indexOf(`--${name}`);
+  if (index !== -1 && index + 1 < argv.length && !argv[index + 1].startsWith('--')) {
+    return argv[index + 1];
+  }
+  return undefined;
+}
+
+function readInteger(env: Record<string, string | undefined>, name: string, fallback: number): number {
+  const value = env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${name} "${value}". Expected a non-negative integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Resolve transport settings from CLI flags, falling back to environment variables
+ * Flags: --transport stdio|http|sse, --host, --port
+ * Environment: MCP_TRANSPORT, MCP_HOST, MCP_PORT, MCP_AUTH_TOKEN, MCP_SESSION_TIMEOUT_SECONDS, MCP_MAX_SESSIONS
+ */
+export function parseTransportOptions(
+  argv: string[] = process.argv.slice(2),
+  env: Record<string, string | undefined> = process.env
+): TransportOptions {
+  const transport = (readFlag(argv, 'transport') || env.MCP_TRANSPORT || 'stdio').toLowerCase();
+  if (!TRANSPORT_TYPES.includes(transport as TransportType)) {
+    throw new Error(`Invalid transport "${transport}". Valid options are: ${TRANSPORT_TYPES.join(', ')}`);
+  }
+
+  const host = readFlag(argv, 'host') || env.MCP_HOST || '127.0.0.1';
+  const rawPort = readFlag(argv, 'port') || env.MCP_PORT || '3000';
+  const port = Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${rawPort}". Port must be an integer between 0 and 65535`);
+  }
+
+  const authToken = env.MCP_AUTH_TOKEN || undefined;
+  if (transport !== 'stdio' && !authToken && !LOOPBACK_HOSTS.has(host)) {
+    throw new Error(`MCP_AUTH_TOKEN is required when the ${transport} transport listens on a non-loopback host (${host})`);
+  }
+
+  const sessionTimeoutMs = readInteger(env, 'MCP_SESSION_TIMEOUT_SECONDS', DEFAULT_SESSION_TIMEOUT_SECONDS) * 1000;
+  const maxSessions = readInteger(env, 'MCP_MAX_SESSIONS', DEFAULT_MAX_SESSIONS);
+
+  return { transport: transport as TransportType, host, port, authToken, sessionTimeoutMs, maxSessions };
+}
+
+/**
+ * Check an Authorization header against the configured bearer token
+ * Every request is allowed when no token is configured
+ */
+export function isAuthorized(authorizationHeader: string | undefined, authToken: string | undefined): boolean {
+  if (!authToken) return true;
+
+  const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader ?? '');
+  if (!match) return false;
+
+  // Compare digests so the comparison is constant-time regardless of token length
+  const expected = crypto.createHash('sha256').update(authToken).digest();
+  const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sendJson(res: ServerResponse, status: number, body: unknown, headers: Record<string, string> = {}): void {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res: ServerResponse, status: number, code: number, message: string): void {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+async function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+/**
+ * Start an HTTP server exposing the MCP server over Streamable HTTP (/mcp) or legacy SSE (/sse + /messages)
+ * Each client session gets its own McpServer instance from the factory
+ * Sessions are closed after sessionTimeoutMs without a request, and at most maxSessions are open at once
+ */
+export async function startHttpServer(createServer: () => McpServer, options: TransportOptions): Promise<HttpServerHandle> {
+  const streamableSessions = new Map<string, StreamableHTTPServerTransport>();
+  const sseSessions = new Map<string, SSEServerTransport>();
+  const idleTimers = new Map<string, ReturnType<typeof setTimeout>>();
+  const sessionTimeoutMs = options.sessionTimeoutMs ?? DEFAULT_SESSION_TIMEOUT_SECONDS * 1000;
+  const maxSessions = options.maxSessions ?? DEFAULT_MAX_SESSIONS;
+
+  const sessionCount = () => streamableSessions.size + sseSessions.size;
+  const isFull = () => maxSessions > 0 && sessionCount() >= maxSessions;
+
+  // Restart the idle timer of a session; the transport's close handler removes it from the session maps
+  const touchSession = (sessionId: string, transport: { close(): Promise<void> }) => {
+    clearTimeout(idleTimers.get(sessionId));
+    if (sessionTimeoutMs <= 0) return;
+
+    const timer = setTimeout(() => {
+      idleTimers.delete(sessionId);
+      transport.close().catch((error) => {
+        console.error('❌ Error closing idle session:', error instanceof Error ? error.message : String(error));
+      });
+    }, sessionTimeoutMs);
+    timer.unref();
+    idleTimers.set(sessionId, timer);
+  };
+
+  const forgetSession = (sessionId: string) => {
+    clearTimeout(idleTimers.get(sessionId));
+    idleTimers.delete(sessionId);
+  };
+
+  const handleStreamableHttp = async (req: IncomingMessage, res: ServerResponse) => {
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'] as string | undefined;
+    const existing = sessionId ? streamableSessions.get(sessionId) : undefined;
+
+    if (existing && sessionId) {
+      touchSession(sessionId, existing);
+      await existing.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId || req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, sessionId ? 404 : 400, -32000, sessionId ? 'Session not found' : 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    if (isFull()) {
+      sendJsonRpcError(res, 503, -32000, 'Too many sessions; try again later');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        streamableSessions.set(newSessionId, transport);
+        touchSession(newSessionId, transport);
+      },
+    });
+    await createServer().connect(transport);
+
+    // connect() replaces the transport's close handler, so the session cleanup is chained afterwards
+    const closeServer = transport.onclose;
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        streamableSessions.delete(transport.sessionId);
+        forgetSession(transport.sessionId);
+      }
+      closeServer?.();
+    };
+
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSseStream = async (res: ServerResponse) => {
+    if (isFull()) {
+      sendJsonRpcError(res, 503, -32000, 'Too many sessions; try again later');
+      return;
+    }
+
+    const transport = new SSEServerTransport('/messages', res);
+    sseSessions.set(transport.sessionId, transport);
+    touchSession(transport.sessionId, transport);
+    res.on('close', () => {
+      sseSessions.delete(transport.sessionId);
+      forgetSession(transport.sessionId);
+    });
+
+    await createServer().connect(transport);
+  };
+
+  const handleSseMessage = async (req: IncomingMessage, res: ServerResponse, url: URL) => {
+    const transport = sseSessions.get(url.searchParams.get('sessionId') ?? '');
+    if (!transport) {
+      sendJsonRpcError(res, 404, -32000, 'Session not found');
+      return;
+    }
+
+    touchSession(transport.sessionId, transport);
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? '/', `http://${req.headers.host ?? 'localhost'}`);
+
+    if (url.pathname === '/healthz' && req.method === 'GET') {
+      sendJson(res, 200, {
+        status: 'ok',
+        transport: options.transport,
+        sessions: sessionCount(),
+      });
+      return;
+    }
+
+    if (!isAuthorized(req.headers.authorization, options.authToken)) {
+      sendJsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+      return;
+    }
+
+    try {
+      if (options.transport === 'http' && url.pathname === '/mcp') {
+        await handleStreamableHttp(req, res);
+      } else if (options.transport === 'sse' && url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseStream(res);
+      } else if (options.transport === 'sse' && url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error('❌ Error handling MCP request:', errorMessage);
+      if (!res.headersSent) {
+        const isClientError = error instanceof SyntaxError || errorMessage === 'Request body too large';
+        sendJsonRpcError(res, isClientError ? 400 : 500, isClientError ? -32700 : -32603, isClientError ? errorMessage : 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  return {
+    server: httpServer,
+    sessionCount,
+    close: async () => {
+      const transports = [...streamableSessions.values(), ...sseSessions.values()];
+      streamableSessions.clear();
+      sseSessions.clear();
+      idleTimers.forEach((timer) => clearTimeout(timer));
+      idleTimers.clear();
+      await Promise.allSettled(transports.map((transport) => transport.close()));
+      await new Promise<void>((resolve) => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    },
+  };
+}
+
+/**
+ * Connect the MCP server to the configured transport
+ */
+export async function startServer(createServer: () => McpServer, options: TransportOptions, serverName: string): Promise<void> {
+  if (options.transport === 'stdio') {
+    await createServer().connect(new StdioServerTransport());
+    console.error(`${serverName} running on stdio`);
+    return;
+  }
+
+  const handle = await startHttpServer(createServer, options);
+  const address = handle.server.address();
+  const port = address && typeof address === 'object' ? address.port : options.port;
+  const endpoint = options.transport === 'http' ? '/mcp' : '/sse';
+
+  console.error(`${serverName} listening on http://${options.host}:${port}${endpoint} (${options.transport})`);
+  if (!options.authToken) {
+    console.error('⚠️  MCP_AUTH_TOKEN is not set - incoming requests are not authenticated');
+  }
+
+  const shutdown = () => {
+    handle.close().finally(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}